@@ -1,10 +1,21 @@
-/* global setTimeout */
+/* global clearTimeout, setTimeout */
 // @flow
 
-import type { BridgeOptions, SendMessage } from './bridge.js'
-import { type ObjectTable, packData, packThrow, unpackData } from './data.js'
+import type { BridgeMiddleware, BridgeOptions, SendMessage } from './bridge.js'
+import { isCallbackWrapper } from './callbacks.js'
+import { ChunkAssembler, splitMessage } from './chunks.js'
+import type { BridgeCodec } from './codec.js'
+import {
+  type ObjectTable,
+  type PackedData,
+  packData,
+  packThrow,
+  unpackData
+} from './data.js'
+import { OverflowError, TimeoutError } from './errors.js'
+import { abandonIterator } from './iterators.js'
 import { bridgifyClass, getInstanceMagic } from './magic.js'
-import { close, emit, update } from './manage.js'
+import { addListener, close, emit, update } from './manage.js'
 import {
   type ValueCache,
   diffObject,
@@ -13,65 +24,248 @@ import {
   packObject,
   updateObjectProps
 } from './objects.js'
+import { patchPackedData } from './patches.js'
 import type {
   CallMessage,
   ChangeMessage,
   CreateMessage,
   EventMessage,
+  HelloMessage,
   Message,
+  PackedProps,
   ReturnMessage
 } from './protocol.js'
+import {
+  protocolFeatures,
+  protocolVersion,
+  requiredFeatures
+} from './protocol.js'
+
+/**
+ * A method call waiting for the other side to return.
+ */
+type PendingCall = {
+  name: string,
+  resolve: Function,
+  reject: Function,
+  onAbort?: () => void,
+  signal?: Object,
+  timeout?: TimeoutID
+}
+
+/**
+ * Everything we need to re-create a proxy after garbage collection.
+ * We keep the packed property values, since they can't hold references
+ * to other proxies, and therefore can't keep them alive.
+ */
+type ProxyInfo = {
+  methods: string[],
+  props: PackedProps,
+
+  // The number of times we have received this object since last release:
+  refs: number,
+
+  // The user has closed the proxy:
+  closed?: true
+}
+
+/**
+ * A possibly-weak reference to a proxy object.
+ */
+type ProxyRef = { deref(): Object | void }
+
+// Flow doesn't know about these yet:
+declare var AbortController: any
+declare var AbortSignal: any
+declare var FinalizationRegistry: any
+declare var WeakRef: any
+
+// How many timed-out or cancelled calls to remember individually:
+const maxExpiredCalls = 100
 
 export class BridgeState implements ObjectTable {
   // Options:
+  +binary: boolean
+  +callTimeoutMs: number
+  +classThrottleMs: { [className: string]: number } | Map<Function, number>
+  +codec: BridgeCodec | void
+  +eventThrottleMs: number
   +hideProperties: string[]
-  +sendMessage: SendMessage
+  +highWaterMark: number
+  +maxMessageBytes: number
+  +methodTimeoutMs: { [name: string]: number }
+  +middleware: BridgeMiddleware[]
+  +patches: boolean
+  +propertyThrottleMs: { [name: string]: number }
+  +resumable: boolean
+  sendMessage: SendMessage
+  +structuredClone: boolean
   +throttleMs: number
 
   // Objects:
-  +proxies: { [objectId: number]: Object }
+  +proxies: { [objectId: number]: ProxyRef }
+  +proxyInfo: { [objectId: number]: ProxyInfo }
   +objects: { [localId: number]: Object }
   +caches: { [localId: number]: ValueCache }
 
+  // Reference counting:
+  +registry: Object | void
+  +sentRefs: { [localId: number]: number }
+  countRefs: boolean
+  countedRefs: number[] | void
+
   // Outgoing method calls:
   nextCallId: number
-  pendingCalls: {
-    [callId: number]: { name: string, resolve: Function, reject: Function }
-  }
+  pendingCalls: { [callId: number]: PendingCall }
+  expiredCalls: { [callId: number]: true }
+  expiredCallCount: number
+
+  // Expired calls we no longer track, so returns up to here are fine:
+  forgottenCallId: number
+
+  // Incoming method calls:
+  activeCalls: { [callId: number]: Object }
+
+  // Handshake:
+  remoteHello: HelloMessage | void
 
   // Pending message:
   dirty: { [localId: number]: { cache: ValueCache, object: Object } }
+  events: EventMessage[]
+  eventTransfers: ArrayBuffer[]
   message: Message
+  transfers: ArrayBuffer[]
+
+  // Outstanding asynchronous sends, and which transport they belong to:
+  sendsPending: number
+  transport: number
+
+  // Frames waiting for the transport, such as the rest of a chunked message:
+  frames: Array<{ frame: mixed, transfers?: ArrayBuffer[] }>
+
+  // Chunking:
+  +chunks: ChunkAssembler
+  nextChunkId: number
+
+  // Session resumption:
+  nextSeq: number
+  receivedSeq: number
+  sentAck: number
+  unacked: Message[]
+  linkDown: boolean
 
   // Update scheduling:
   closed: boolean
-  lastUpdate: number
-  sendPending: boolean
+  lastEvents: number
+  changeTimes: { [localId: number]: { [name: string]: number } }
+  sendDue: number
+  sendTimer: TimeoutID | void
 
   constructor(opts: BridgeOptions) {
-    const { hideProperties = [], sendMessage, throttleMs = 0 } = opts
+    const {
+      callTimeoutMs = 0,
+      classThrottleMs = {},
+      codec,
+      eventThrottleMs,
+      hideProperties = [],
+      highWaterMark = 0,
+      maxMessageBytes = 0,
+      maxReassemblyBytes = 0x4000000,
+      methodTimeoutMs = {},
+      middleware = [],
+      patches = false,
+      propertyThrottleMs = {},
+      resumable = false,
+      sendMessage,
+      structuredClone = false,
+      throttleMs = 0
+    } = opts
+    if (codec != null && structuredClone) {
+      throw new TypeError('The `codec` and `structuredClone` options conflict')
+    }
+    if (maxMessageBytes > 0 && structuredClone) {
+      throw new TypeError(
+        'The `maxMessageBytes` and `structuredClone` options conflict'
+      )
+    }
 
     // Options:
+    this.binary = codec != null && codec.binary === true
+    this.callTimeoutMs = callTimeoutMs
+    this.classThrottleMs = classThrottleMs
+    this.codec = codec
+    this.eventThrottleMs =
+      eventThrottleMs != null ? eventThrottleMs : throttleMs
     this.hideProperties = hideProperties
+    this.highWaterMark = highWaterMark
+    this.maxMessageBytes = maxMessageBytes
+    this.methodTimeoutMs = methodTimeoutMs
+    this.middleware = middleware
+    this.patches = patches
+    this.propertyThrottleMs = propertyThrottleMs
+    this.resumable = resumable
     this.sendMessage = sendMessage
+    this.structuredClone = structuredClone
     this.throttleMs = throttleMs
 
     // Objects:
     this.proxies = {}
+    this.proxyInfo = {}
     this.objects = {}
     this.caches = {}
 
+    // Reference counting:
+    this.registry =
+      typeof FinalizationRegistry === 'function' &&
+      typeof WeakRef === 'function'
+        ? new FinalizationRegistry(({ remoteId, ref }) => {
+            if (this.proxies[remoteId] !== ref) return
+            delete this.proxies[remoteId]
+            this.releaseProxy(remoteId)
+          })
+        : undefined
+    this.sentRefs = {}
+    this.countRefs = true
+    this.countedRefs = undefined
+
     // Outgoing method calls:
     this.nextCallId = 0
     this.pendingCalls = {}
+    this.expiredCalls = {}
+    this.expiredCallCount = 0
+    this.forgottenCallId = -1
+
+    // Incoming method calls:
+    this.activeCalls = {}
 
     // Pending message:
     this.dirty = {}
+    this.events = []
+    this.eventTransfers = []
     this.message = {}
+    this.transfers = []
+
+    // Backpressure:
+    this.sendsPending = 0
+    this.transport = 0
+    this.frames = []
+
+    // Chunking:
+    this.chunks = new ChunkAssembler(codec, maxReassemblyBytes)
+    this.nextChunkId = 0
+
+    // Session resumption:
+    this.nextSeq = 1
+    this.receivedSeq = 0
+    this.sentAck = 0
+    this.unacked = []
+    this.linkDown = false
 
     // Update scheduling:
-    this.lastUpdate = 0
-    this.sendPending = false
+    this.lastEvents = 0
+    this.changeTimes = {}
+    this.sendDue = 0
+    this.sendTimer = undefined
   }
 
   /**
@@ -80,21 +274,163 @@ export class BridgeState implements ObjectTable {
    * all pending calls.
    */
   close(error: Error): void {
+    if (this.closed) return
     for (const callId in this.pendingCalls) {
-      const call = this.pendingCalls[Number(callId)]
-      call.reject(error)
+      const call = this.finishCall(Number(callId))
+      if (call != null) call.reject(error)
     }
-    for (const objectId in this.proxies) {
-      close(this.proxies[Number(objectId)])
+    for (const callId in this.activeCalls) {
+      this.activeCalls[Number(callId)].abort(error)
     }
+    this.activeCalls = {}
+    this.unacked = []
     this.closed = true
+    for (const objectId in this.proxies) {
+      const o = this.proxies[Number(objectId)].deref()
+      if (o != null) close(o)
+    }
+    for (const localId in this.objects) {
+      const o = this.objects[Number(localId)]
+      if (isCallbackWrapper(o)) close(o)
+      else abandonIterator(o)
+    }
+    emit(this, 'close', error)
   }
 
   /**
    * Grabs an object by its proxy id.
+   * Since this is how incoming messages refer to proxies,
+   * this also counts the references for garbage collection.
    */
   getObject(packedId: number): Object | void {
-    return packedId < 0 ? this.proxies[-packedId] : this.objects[packedId]
+    if (packedId >= 0) return this.objects[packedId]
+
+    const remoteId = -packedId
+    const info = this.proxyInfo[remoteId]
+    if (info != null && info.closed && this.countRefs) {
+      // The other side sent the object again after we closed our proxy,
+      // so this reference deserves a fresh one:
+      delete info.closed
+      delete this.proxies[remoteId]
+    }
+
+    const o = this.getProxy(remoteId)
+    if (o != null && this.countRefs) {
+      ++this.proxyInfo[remoteId].refs
+      if (this.countedRefs != null) this.countedRefs.push(remoteId)
+    }
+    return o
+  }
+
+  /**
+   * Grabs a proxy by its remote id,
+   * re-creating it if it has been garbage collected.
+   */
+  getProxy(remoteId: number): Object | void {
+    const ref = this.proxies[remoteId]
+    const proxy = ref != null ? ref.deref() : undefined
+    if (proxy != null) return proxy
+
+    const info = this.proxyInfo[remoteId]
+    if (info == null) return
+    const { methods, props } = info
+    const o = this.addProxy({ localId: remoteId, methods, props })
+
+    // We already counted these references the first time around:
+    const { countRefs } = this
+    this.countRefs = false
+    updateObjectProps(this, o, props)
+    this.countRefs = countRefs
+
+    if (info.closed) close(o)
+    return o
+  }
+
+  /**
+   * Creates a new proxy object and adds it to our tables.
+   */
+  addProxy(create: CreateMessage): Object {
+    const remoteId = create.localId
+    const o = makeProxy(this, create)
+
+    const ref: ProxyRef =
+      this.registry != null ? new WeakRef(o) : { deref: () => o }
+    this.proxies[remoteId] = ref
+    if (this.registry != null) this.registry.register(o, { remoteId, ref })
+
+    addListener(o, 'close', () => {
+      const info = this.proxyInfo[remoteId]
+      if (info == null) return
+      info.closed = true
+      this.releaseProxy(remoteId)
+    })
+    return o
+  }
+
+  /**
+   * Tells the other side we no longer need an object.
+   */
+  releaseProxy(remoteId: number): void {
+    const info = this.proxyInfo[remoteId]
+    if (info == null || this.closed) return
+
+    if (this.message.released == null) this.message.released = []
+    this.message.released.push({ localId: remoteId, count: info.refs })
+    info.refs = 0
+    this.wakeup()
+  }
+
+  /**
+   * Unpacks a value nobody will ever see, and hands back the references
+   * it carries, so the other side doesn't hold onto those objects forever.
+   */
+  releasePayload(data: PackedData): void {
+    const counted: number[] = []
+    this.countedRefs = counted
+    try {
+      unpackData(this, data, 'payload')
+    } catch (e) {
+      // We only care about the references.
+    } finally {
+      this.countedRefs = undefined
+    }
+
+    const counts: { [remoteId: number]: number } = {}
+    for (const remoteId of counted) {
+      counts[remoteId] = (counts[remoteId] || 0) + 1
+    }
+    for (const id of Object.keys(counts)) {
+      const remoteId = Number(id)
+      const info = this.proxyInfo[remoteId]
+      if (info == null || this.closed) continue
+
+      info.refs -= counts[remoteId]
+      if (this.message.released == null) this.message.released = []
+      this.message.released.push({ localId: remoteId, count: counts[remoteId] })
+      this.wakeup()
+    }
+  }
+
+  /**
+   * Removes a local object from the bridge once the other side
+   * no longer references it, but without closing it for other bridges.
+   */
+  dropObject(localId: number): void {
+    const o = this.objects[localId]
+    if (o == null) return
+    delete this.objects[localId]
+    delete this.caches[localId]
+    delete this.changeTimes[localId]
+    delete this.dirty[localId]
+    delete this.sentRefs[localId]
+
+    const magic = getInstanceMagic(o)
+    magic.bridges = magic.bridges.filter(bridge => bridge !== this)
+    abandonIterator(o)
+
+    if (this.message.forgotten == null) this.message.forgotten = []
+    this.message.forgotten.push(localId)
+    this.wakeup()
   }
 
   /**
@@ -105,8 +441,9 @@ export class BridgeState implements ObjectTable {
   getPackedId(o: Object): number | null {
     const magic = getInstanceMagic(o)
     if (magic.closed) return null
-    if (magic.remoteId != null && this.proxies[magic.remoteId] != null) {
-      return -magic.remoteId
+    if (magic.remoteId != null) {
+      const ref = this.proxies[magic.remoteId]
+      if (ref != null && ref.deref() === o) return -magic.remoteId
     }
     if (this.objects[magic.localId] == null) {
       // Add unknown objects to the bridge:
@@ -117,7 +454,21 @@ export class BridgeState implements ObjectTable {
       magic.bridges.push(this)
       this.emitCreate(create, o)
     }
-    return magic.localId
+
+    const { localId } = magic
+    this.sentRefs[localId] =
+      this.sentRefs[localId] != null ? this.sentRefs[localId] + 1 : 1
+    return localId
+  }
+
+  /**
+   * Adds a buffer to the pending message's transfer list.
+   * Resumable bridges may need to send the message again,
+   * so they don't transfer anything.
+   */
+  addTransfer(buffer: ArrayBuffer): void {
+    if (this.resumable) return
+    if (this.transfers.indexOf(buffer) < 0) this.transfers.push(buffer)
   }
 
   /**
@@ -127,8 +478,39 @@ export class BridgeState implements ObjectTable {
     const cache = this.caches[localId]
     if (name != null && name in cache) cache[name] = dirtyValue
 
-    this.dirty[localId] = { cache, object: this.objects[localId] }
-    this.wakeup()
+    const object = this.objects[localId]
+    this.dirty[localId] = { cache, object }
+    this.wakeup(name != null ? this.changeDue(localId, object, name) : 0)
+  }
+
+  /**
+   * Finds the earliest time a property change can go out,
+   * based on when it last changed.
+   */
+  changeDue(localId: number, o: Object, name: string): number {
+    const times = this.changeTimes[localId]
+    if (times == null || times[name] == null) return 0
+    return times[name] + this.changeThrottle(o, name)
+  }
+
+  /**
+   * Finds the throttle window for a property.
+   * Property names take priority over classes.
+   */
+  changeThrottle(o: Object, name: string): number {
+    const { classThrottleMs, propertyThrottleMs } = this
+    if (propertyThrottleMs[name] != null) return propertyThrottleMs[name]
+
+    // Maps use the constructor itself, which survives minification:
+    const { constructor } = o
+    if (constructor != null) {
+      const classMs =
+        classThrottleMs instanceof Map
+          ? classThrottleMs.get(constructor)
+          : classThrottleMs[constructor.name]
+      if (classMs != null) return classMs
+    }
+    return this.throttleMs
   }
 
   /**
@@ -137,6 +519,8 @@ export class BridgeState implements ObjectTable {
   emitClose(localId: number): void {
     delete this.objects[localId]
     delete this.caches[localId]
+    delete this.changeTimes[localId]
+    delete this.sentRefs[localId]
     if (this.message.closed == null) this.message.closed = []
     this.message.closed.push(localId)
     this.wakeup()
@@ -151,44 +535,162 @@ export class BridgeState implements ObjectTable {
     // this.wakeup() not needed, since this is part of data packing.
   }
 
+  /**
+   * Enqueues a handshake message.
+   */
+  emitHello(): void {
+    this.message.hello = {
+      version: protocolVersion,
+      features: protocolFeatures
+    }
+    this.wakeup()
+  }
+
+  /**
+   * Lists the features this side needs, but the other side lacks.
+   */
+  missingFeatures(hello: HelloMessage): string[] {
+    const required = [...requiredFeatures]
+    if (this.maxMessageBytes > 0) required.push('chunks')
+    if (this.resumable) required.push('resume')
+
+    const features = Array.isArray(hello.features) ? hello.features : []
+    return required.filter(feature => features.indexOf(feature) < 0)
+  }
+
+  /**
+   * Returns true if the other side supports a feature.
+   * Assumes the best if the handshake hasn't arrived yet.
+   */
+  hasFeature(feature: string): boolean {
+    const hello = this.remoteHello
+    if (hello == null || !Array.isArray(hello.features)) return true
+    return hello.features.indexOf(feature) >= 0
+  }
+
   /**
    * Enqueues a proxy call message.
    */
-  emitCall(remoteId: number, name: string, args: mixed): Promise<mixed> {
+  emitCall(remoteId: number, name: string, args: mixed[]): Promise<mixed> {
+    // Abort signals stay on this side of the bridge:
+    let signal: Object | void
+    let signalIndex = -1
+    for (let i = 0; i < args.length; ++i) {
+      if (isAbortSignal(args[i])) {
+        signal = (args[i]: any)
+        signalIndex = i
+        break
+      }
+    }
+    if (signal != null) {
+      if (signal.aborted) return Promise.reject(getAbortReason(signal))
+      args = args.map((arg, i) => (i === signalIndex ? undefined : arg))
+    }
+
     const callId = this.nextCallId++
     const message: CallMessage = {
       callId,
       remoteId,
       name,
+      ...(signal != null ? { signal: signalIndex } : {}),
       ...packData(this, args)
     }
     if (this.message.calls == null) this.message.calls = []
     this.message.calls.push(message)
-    this.wakeup()
 
-    return new Promise((resolve, reject) => {
-      this.pendingCalls[callId] = { name, resolve, reject }
+    const out = new Promise((resolve, reject) => {
+      const pendingCall: PendingCall = { name, resolve, reject }
+      this.pendingCalls[callId] = pendingCall
+
+      // Give up if the other side takes too long:
+      const timeoutMs =
+        this.methodTimeoutMs[name] != null
+          ? this.methodTimeoutMs[name]
+          : this.callTimeoutMs
+      if (timeoutMs > 0) {
+        pendingCall.timeout = setTimeout(() => {
+          this.cancelCall(
+            callId,
+            new TimeoutError(`Call to '${name}' timed out after ${timeoutMs}ms`)
+          )
+        }, timeoutMs)
+      }
+
+      // Give up if the caller asks us to:
+      if (signal != null) {
+        const onAbort = () => this.cancelCall(callId, getAbortReason(signal))
+        signal.addEventListener('abort', onAbort)
+        pendingCall.onAbort = onAbort
+        pendingCall.signal = signal
+      }
     })
+    this.wakeup()
+    return out
+  }
+
+  /**
+   * Gives up on a pending call,
+   * and asks the other side to stop working on it.
+   */
+  cancelCall(callId: number, error: mixed): void {
+    const pendingCall = this.finishCall(callId)
+    if (pendingCall == null) return
+
+    this.expiredCalls[callId] = true
+    if (++this.expiredCallCount > maxExpiredCalls) {
+      // The oldest return may never arrive, so stop waiting for it:
+      const oldest = Number(Object.keys(this.expiredCalls)[0])
+      delete this.expiredCalls[oldest]
+      --this.expiredCallCount
+      if (oldest > this.forgottenCallId) this.forgottenCallId = oldest
+    }
+    if (this.hasFeature('abort')) {
+      if (this.message.cancels == null) this.message.cancels = []
+      this.message.cancels.push(callId)
+      this.wakeup()
+    }
+
+    pendingCall.reject(error)
+  }
+
+  /**
+   * Removes a call from the pending list,
+   * cleaning up any timers or abort listeners it has.
+   */
+  finishCall(callId: number): PendingCall | void {
+    const pendingCall = this.pendingCalls[callId]
+    if (pendingCall == null) return
+    delete this.pendingCalls[callId]
+
+    const { onAbort, signal, timeout } = pendingCall
+    if (timeout != null) clearTimeout(timeout)
+    if (signal != null) signal.removeEventListener('abort', onAbort)
+    return pendingCall
   }
 
   /**
    * Enqueues an event message.
    */
   emitEvent(localId: number, name: string, payload: mixed): void {
-    const message: EventMessage = {
-      localId,
-      name,
-      ...packData(this, payload)
+    // Events can wait for their throttle, so their buffers wait too:
+    const { transfers } = this
+    this.transfers = this.eventTransfers
+    let message: EventMessage
+    try {
+      message = { localId, name, ...packData(this, payload) }
+    } finally {
+      this.eventTransfers = this.transfers
+      this.transfers = transfers
     }
-    if (this.message.events == null) this.message.events = []
-    this.message.events.push(message)
-    this.wakeup()
+    this.events.push(message)
+    this.wakeup(this.lastEvents + this.eventThrottleMs)
   }
 
   /**
    * Enqueues a function return message.
    */
   emitReturn(callId: number, fail: boolean, value: mixed): void {
+    delete this.activeCalls[callId]
     const message: ReturnMessage = {
       callId,
       ...(fail ? packThrow(this, value) : packData(this, value))
@@ -203,39 +705,117 @@ export class BridgeState implements ObjectTable {
    * updating state and triggering side-effects as needed.
    */
   handleMessage(message: Message): void {
+    // ----------------------------------------
+    // Phase 0: Put the message in sequence.
+    // ----------------------------------------
+
+    // Reassemble oversized messages:
+    if (message.chunk != null) {
+      let whole: Message | void
+      try {
+        whole = this.chunks.push(message.chunk)
+      } catch (error) {
+        return this.close(error)
+      }
+      if (whole != null) this.handleMessage(whole)
+      return
+    }
+
+    // Let middleware see the whole message:
+    if (this.middleware.length > 0) {
+      let filtered: Message | void
+      try {
+        filtered = this.filterIncoming(message)
+      } catch (error) {
+        return this.close(error)
+      }
+      if (filtered == null) return
+      message = filtered
+    }
+
+    if (this.resumable) {
+      // Forget messages the other side has already seen:
+      const { ack, seq } = message
+      if (ack != null) {
+        this.unacked = this.unacked.filter(
+          sent => sent.seq != null && sent.seq > ack
+        )
+      }
+
+      if (seq != null) {
+        // Skip duplicates, and wait for a replay to fill in any gaps:
+        if (seq !== this.receivedSeq + 1) return
+        this.receivedSeq = seq
+        this.wakeup() // Send an acknowledgement
+      }
+    }
+
     // ----------------------------------------
     // Phase 1: Get our proxies up to date.
     // ----------------------------------------
 
+    // Handle the handshake:
+    if (message.hello) {
+      this.remoteHello = message.hello
+      emit(this, 'hello', message.hello)
+    }
+
+    // Handle objects the other side has stopped sending us.
+    // This comes first, since the same message could re-create them:
+    if (message.forgotten) {
+      for (const localId of message.forgotten) {
+        delete this.proxies[localId]
+        delete this.proxyInfo[localId]
+      }
+    }
+
     // Handle newly-created objects:
     if (message.created) {
       // Pass 1: Create proxies for the new objects:
+      const proxies = []
       for (const create of message.created) {
-        this.proxies[create.localId] = makeProxy(this, create)
+        const { localId, methods, props } = create
+        this.proxyInfo[localId] = { methods, props: { ...props }, refs: 0 }
+        proxies.push(this.addProxy(create))
       }
 
       // Pass 2: Fill in the values:
-      for (const create of message.created) {
-        updateObjectProps(this, this.proxies[create.localId], create.props)
+      for (let i = 0; i < proxies.length; ++i) {
+        updateObjectProps(this, proxies[i], message.created[i].props)
       }
     }
 
     // Handle updated objects:
     if (message.changed) {
       // Pass 1: Update all the proxies:
+      const proxies = []
       for (const change of message.changed) {
-        const { localId, props } = change
-        const o = this.proxies[localId]
-        if (o == null) {
+        const { localId, patches = {}, props } = change
+        const info = this.proxyInfo[localId]
+        if (info == null) {
           throw new RangeError(`Invalid localId ${localId}`)
         }
-        updateObjectProps(this, o, props)
+
+        // Re-create the proxy from the old values, if needed,
+        // so the patches only get applied once:
+        const o = this.getProxy(localId)
+        for (const n in props) info.props[n] = props[n]
+        for (const n in patches) {
+          if (info.props[n] == null) continue
+          try {
+            info.props[n] = patchPackedData(info.props[n], patches[n])
+          } catch (e) {
+            info.props[n] = packThrow(this, e)
+          }
+        }
+
+        if (o == null) continue
+        updateObjectProps(this, o, props, patches)
+        proxies.push(o)
       }
 
       // Pass 2: Fire the callbacks:
-      for (const change of message.changed) {
-        update(this.proxies[change.localId])
-      }
+      for (const o of proxies) update(o)
     }
 
     // ----------------------------------------
@@ -246,8 +826,11 @@ export class BridgeState implements ObjectTable {
     if (message.events) {
       for (const event of message.events) {
         const { localId, name } = event
-        const o = localId === 0 ? this : this.proxies[localId]
-        if (o == null) continue
+        const o = localId === 0 ? this : this.getProxy(localId)
+        if (o == null) {
+          this.releasePayload(event)
+          continue
+        }
         try {
           emit(o, name, unpackData(this, event, name))
         } catch (e) {
@@ -272,6 +855,11 @@ export class BridgeState implements ObjectTable {
             throw new TypeError(`'${name}' is not a function`)
           }
           const args = unpackData(this, call, `${name}.arguments`)
+          if (call.signal != null && typeof AbortController === 'function') {
+            const controller = new AbortController()
+            this.activeCalls[callId] = controller
+            args[call.signal] = controller.signal
+          }
           Promise.resolve(o[name].apply(o, args)).then(
             value => this.emitReturn(callId, false, value),
             e => this.emitReturn(callId, true, e)
@@ -286,9 +874,17 @@ export class BridgeState implements ObjectTable {
     if (message.returns) {
       for (const ret of message.returns) {
         const { callId } = ret
-        const pendingCall = this.pendingCalls[callId]
+        const pendingCall = this.finishCall(callId)
         if (pendingCall == null) {
-          throw new RangeError(`Invalid callId ${callId}`)
+          // The caller has already given up on this one:
+          if (this.expiredCalls[callId]) {
+            delete this.expiredCalls[callId]
+            --this.expiredCallCount
+          } else if (callId > this.forgottenCallId) {
+            throw new RangeError(`Invalid callId ${callId}`)
+          }
+          this.releasePayload(ret)
+          continue
         }
         try {
           pendingCall.resolve(
@@ -296,22 +892,43 @@ export class BridgeState implements ObjectTable {
           )
         } catch (e) {
           pendingCall.reject(e)
-        } finally {
-          delete this.pendingCalls[callId]
         }
       }
     }
 
+    // Handle cancelled calls:
+    if (message.cancels) {
+      for (const callId of message.cancels) {
+        const controller = this.activeCalls[callId]
+        if (controller == null) continue
+        delete this.activeCalls[callId]
+        controller.abort()
+      }
+    }
+
     // ----------------------------------------
     // Phase 3: Clean up closed objects
     // ----------------------------------------
 
     if (message.closed) {
       for (const localId of message.closed) {
-        const o = this.proxies[localId]
-        if (o == null) return
+        const ref = this.proxies[localId]
         delete this.proxies[localId]
-        close(o)
+        delete this.proxyInfo[localId]
+        const o = ref != null ? ref.deref() : undefined
+        if (o != null) close(o)
+      }
+    }
+
+    // Handle objects the other side no longer needs:
+    if (message.released) {
+      for (const { localId, count } of message.released) {
+        const refs = this.sentRefs[localId]
+        if (refs == null) continue
+
+        // Only forget the object if no more references are in flight:
+        if (refs > count) this.sentRefs[localId] = refs - count
+        else this.dropObject(localId)
       }
     }
   }
@@ -320,53 +937,313 @@ export class BridgeState implements ObjectTable {
    * Sends the current message.
    */
   sendNow(): void {
-    if (this.closed) return
+    // Keep collecting changes while the transport is busy:
+    if (this.closed || this.sendsPending > 0) return
 
-    // Build change messages:
+    const now = Date.now()
+    let nextDue = Infinity
+
+    // Build change messages, holding back recently-changed properties:
     for (const id in this.dirty) {
       const localId = Number(id)
       const { object, cache } = this.dirty[localId]
-      const { dirty, props } = diffObject(this, object, cache)
+
+      // Closed objects send their final changes right away:
+      let times = this.changeTimes[localId]
+      if (times == null && this.objects[localId] != null) {
+        times = this.changeTimes[localId] = {}
+      }
+
+      let deferred = false
+      const { dirty, patches, props } = diffObject(this, object, cache, n => {
+        const due = this.changeDue(localId, object, n)
+        if (due > now) {
+          deferred = true
+          nextDue = Math.min(nextDue, due)
+          return false
+        }
+        if (times != null) times[n] = now
+        return true
+      })
+      if (!deferred) delete this.dirty[localId]
+
       if (dirty) {
         const message: ChangeMessage = { localId, props }
+        if (Object.keys(patches).length > 0) message.patches = patches
         if (this.message.changed == null) this.message.changed = []
         this.message.changed.push(message)
       }
     }
 
+    // Events have their own throttle:
+    if (this.events.length > 0) {
+      const due = this.lastEvents + this.eventThrottleMs
+      if (due > now) {
+        nextDue = Math.min(nextDue, due)
+      } else {
+        this.message.events = this.events
+        this.events = []
+        for (const buffer of this.eventTransfers) this.addTransfer(buffer)
+        this.eventTransfers = []
+        this.lastEvents = now
+      }
+    }
+    if (nextDue < Infinity) this.wakeup(nextDue)
+
     const message = this.message
-    this.dirty = {}
+    const transfers = this.transfers
     this.message = {}
-    if (
+    this.transfers = []
+    const hasContent =
       message.calls != null ||
+      message.cancels != null ||
       message.changed != null ||
       message.closed != null ||
       message.created != null ||
       message.events != null ||
+      message.forgotten != null ||
+      message.hello != null ||
+      message.released != null ||
       message.returns != null
-    ) {
-      this.sendMessage(message)
+
+    if (!this.resumable) {
+      if (!hasContent) return
+      this.deliver(message, this.structuredClone ? transfers : undefined)
+      return
+    }
+
+    // Keep a copy until the other side acknowledges it:
+    if (hasContent) {
+      message.seq = this.nextSeq++
+      this.unacked.push(message)
+    } else if (this.sentAck === this.receivedSeq) {
+      return
     }
+    this.transmit(message)
   }
 
   /**
-   * Something has changed, so prepare to send the pending message:
+   * Encodes a message and hands it to the transport,
+   * splitting it into chunks if it is too big.
    */
-  wakeup(): void {
-    if (this.sendPending) return
+  deliver(message: Message, transfers?: ArrayBuffer[]): void {
+    const { codec, maxMessageBytes } = this
+
+    let frames: mixed[]
+    try {
+      const filtered = this.filterOutgoing(message)
+      if (filtered == null) return
+      if (maxMessageBytes <= 0) {
+        frames = [codec != null ? codec.encode(filtered) : filtered]
+      } else {
+        frames = splitMessage(
+          filtered,
+          codec,
+          maxMessageBytes,
+          this.nextChunkId++
+        )
+      }
+    } catch (error) {
+      return this.close(error)
+    }
+    for (const frame of frames) this.send(frame, transfers)
+  }
+
+  /**
+   * Runs an outgoing message through the middleware, in order.
+   */
+  filterOutgoing(message: Message): Message | void {
+    let out: Object | void = message
+    for (const { outgoing } of this.middleware) {
+      if (outgoing != null) out = outgoing(out)
+      if (out == null) {
+        // The other side would wait for this message forever:
+        if (message.seq != null) {
+          throw new Error(
+            `Middleware cannot drop message ${message.seq} on a resumable bridge`
+          )
+        }
+        return
+      }
+    }
+    return out
+  }
+
+  /**
+   * Runs an incoming message through the middleware, in reverse order,
+   * so each one sees what its counterpart on the other side produced.
+   */
+  filterIncoming(message: Message): Message | void {
+    let out: Object | void = message
+    for (let i = this.middleware.length - 1; i >= 0; --i) {
+      const { incoming } = this.middleware[i]
+      if (incoming != null) out = incoming(out)
+      if (out == null) return
+    }
+    return out
+  }
+
+  /**
+   * Hands a frame to the transport.
+   * If the transport returns a promise, hold off on sending more,
+   * including the rest of a chunked message, until it resolves.
+   */
+  send(frame: mixed, transfers?: ArrayBuffer[]): void {
+    this.frames.push({ frame, transfers })
+    this.sendFrames()
+  }
+
+  /**
+   * Sends queued frames until the transport asks us to wait.
+   */
+  sendFrames(): void {
+    while (this.frames.length > 0 && this.sendsPending === 0) {
+      if (this.closed) {
+        this.frames = []
+        return
+      }
+
+      const { frame, transfers } = this.frames.shift()
+      const result: any = this.sendMessage((frame: any), transfers)
+      if (result == null || typeof result.then !== 'function') continue
+
+      const { transport } = this
+      ++this.sendsPending
+      result.then(
+        () => {
+          if (transport !== this.transport) return
+          --this.sendsPending
+          try {
+            this.sendFrames()
+          } catch (error) {
+            return this.sendFailed(error)
+          }
+          if (this.sendsPending === 0) this.wakeup()
+        },
+        (error: mixed) => {
+          if (transport !== this.transport) return
+          --this.sendsPending
+          this.sendFailed(error)
+        }
+      )
+    }
+  }
+
+  /**
+   * The transport could not send a frame.
+   */
+  sendFailed(error: mixed): void {
+    this.frames = []
+    if (this.resumable) {
+      // Hold everything until the user gives us a new transport:
+      this.linkDown = true
+    } else {
+      this.close(error instanceof Error ? error : new Error(String(error)))
+    }
+  }
+
+  /**
+   * Sends a message on a resumable bridge,
+   * noticing if the transport has failed.
+   */
+  transmit(message: Message): void {
+    if (this.linkDown) return
+    message.ack = this.receivedSeq
+    this.sentAck = this.receivedSeq
+    try {
+      this.deliver(message)
+    } catch (e) {
+      // Hold everything until the user gives us a new transport:
+      this.linkDown = true
+    }
+  }
+
+  /**
+   * Switches to a new transport, replaying any unacknowledged messages.
+   */
+  resume(sendMessage: SendMessage): void {
+    if (!this.resumable) {
+      throw new TypeError('Only bridges created as `resumable` can resume')
+    }
+    this.sendMessage = sendMessage
+    this.linkDown = false
+    this.sendsPending = 0
+    this.frames = []
+    ++this.transport
+    if (this.closed) return
+
+    // The other side may have missed our last acknowledgement:
+    this.sentAck = -1
+    for (const message of this.unacked) this.transmit(message)
+    this.sendNow()
+  }
+
+  /**
+   * Something has changed, so prepare to send the pending message.
+   * Pass a time to wait until then, such as for throttled changes.
+   */
+  wakeup(due: number = 0): void {
+    // Don't let the pending message grow without limit
+    // while the transport is busy:
+    const { highWaterMark } = this
+    if (
+      highWaterMark > 0 &&
+      this.sendsPending > 0 &&
+      !this.closed &&
+      countEntries(this.message) + this.events.length > highWaterMark
+    ) {
+      const error = new OverflowError(
+        `More than ${highWaterMark} messages are waiting to be sent`
+      )
+      emit(this, 'overflow', error)
+      return this.close(error)
+    }
+
+    // Keep whichever timer fires first:
+    if (this.sendTimer != null) {
+      if (this.sendDue <= due) return
+      clearTimeout(this.sendTimer)
+    }
 
-    this.sendPending = true
     const task = (): void => {
-      this.sendPending = false
-      this.lastUpdate = Date.now()
+      this.sendTimer = undefined
       this.sendNow()
     }
 
     // We really do want `setTimeout` here, even if the delay is 0,
     // since promises and other micro tasks should fire first.
-    const delay = this.lastUpdate + this.throttleMs - Date.now()
-    setTimeout(task, delay < 0 ? 0 : delay)
+    const delay = due - Date.now()
+    this.sendDue = due
+    this.sendTimer = setTimeout(task, delay < 0 ? 0 : delay)
   }
 }
 
 bridgifyClass(BridgeState)
+
+/**
+ * Counts the entries waiting in a message.
+ */
+function countEntries(message: Message): number {
+  let out = 0
+  for (const name of Object.keys(message)) {
+    const entries = message[name]
+    if (Array.isArray(entries)) out += entries.length
+  }
+  return out
+}
+
+/**
+ * Returns true if a method argument is an abort signal.
+ */
+function isAbortSignal(x: mixed): boolean {
+  return typeof AbortSignal === 'function' && x instanceof AbortSignal
+}
+
+/**
+ * Older environments don't provide `signal.reason`.
+ */
+function getAbortReason(signal: Object): mixed {
+  return signal.reason != null
+    ? signal.reason
+    : new Error('The operation was aborted')
+}
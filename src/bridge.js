@@ -1,21 +1,58 @@
+/* global clearInterval, clearTimeout, setInterval, setTimeout */
 // @flow
 
 import { BridgeState } from './BridgeState.js'
+import { type BridgeCodec, utf8Decode, utf8Encode } from './codec.js'
 import { packData, unpackData } from './data.js'
-import { addListener } from './manage.js'
-import { type Message } from './protocol.js'
+import { IncompatibleError, TimeoutError } from './errors.js'
+import { encodeFrame, FrameReader } from './framing.js'
+import { type CallbackRemover, addListener } from './manage.js'
+import {
+  type HelloMessage,
+  type Message,
+  type ServiceEvent,
+  protocolVersion
+} from './protocol.js'
 
 /**
  * The bridge sends messages using this function.
+ * In structured-clone mode, the bridge also passes a list of
+ * array buffers to transfer, suitable for `postMessage`.
+ * If this returns a promise, the bridge waits for it to resolve
+ * before sending anything else.
  */
-export type SendMessage = (message: Object) => mixed
+export type SendMessage = (message: Object, transfer?: ArrayBuffer[]) => mixed
+
+/**
+ * Sees each message passing through the bridge, before encoding
+ * on the way out and after decoding on the way in.
+ * Each hook returns the message to pass along,
+ * which may be a modified copy, or `undefined` to drop it.
+ */
+export type BridgeMiddleware = {
+  +incoming?: (message: Object) => Object | void,
+  +outgoing?: (message: Object) => Object | void
+}
 
 /**
  * Options used to create a new bridge.
  */
 export type BridgeOptions = {
   sendMessage: SendMessage,
+  callTimeoutMs?: number,
+  classThrottleMs?: { [className: string]: number } | Map<Function, number>,
+  codec?: BridgeCodec,
+  eventThrottleMs?: number,
   hideProperties?: string[],
+  highWaterMark?: number,
+  maxMessageBytes?: number,
+  maxReassemblyBytes?: number,
+  methodTimeoutMs?: { [name: string]: number },
+  middleware?: BridgeMiddleware[],
+  patches?: boolean,
+  propertyThrottleMs?: { [name: string]: number },
+  resumable?: boolean,
+  structuredClone?: boolean,
   throttleMs?: number
 }
 
@@ -23,27 +60,216 @@ export type BridgeOptions = {
  * Options used to create a new local bridge.
  */
 export type LocalBridgeOptions = {
+  callTimeoutMs?: number,
+  classThrottleMs?: { [className: string]: number } | Map<Function, number>,
   cloneMessage?: (x: Object) => Object,
+  eventThrottleMs?: number,
+  hideProperties?: string[],
+  methodTimeoutMs?: { [name: string]: number },
+  patches?: boolean,
+  propertyThrottleMs?: { [name: string]: number },
+  throttleMs?: number
+}
+
+/**
+ * Options used to connect a bridge to a transport,
+ * such as with `connectPort`.
+ */
+export type ConnectOptions = {
+  callTimeoutMs?: number,
+  classThrottleMs?: { [className: string]: number } | Map<Function, number>,
+  codec?: BridgeCodec,
+  eventThrottleMs?: number,
   hideProperties?: string[],
+  highWaterMark?: number,
+  maxMessageBytes?: number,
+  maxReassemblyBytes?: number,
+  methodTimeoutMs?: { [name: string]: number },
+  middleware?: BridgeMiddleware[],
+  patches?: boolean,
+  propertyThrottleMs?: { [name: string]: number },
+  resumable?: boolean,
+  root?: Object,
+
+  // Transport events:
+  onClose?: (error: Error) => mixed,
+  onError?: (error: Error) => mixed,
+
+  structuredClone?: boolean,
   throttleMs?: number
 }
 
+/**
+ * Anything with a `postMessage` method, such as a browser `MessagePort`
+ * or `Worker`, or a Node.js `worker_threads` port or worker.
+ */
+export type MessagePortLike = {
+  postMessage(message: mixed, transfer?: ArrayBuffer[]): mixed,
+
+  // Browser-style events:
+  +addEventListener?: (name: string, f: Function) => mixed,
+  +removeEventListener?: (name: string, f: Function) => mixed,
+  +start?: () => mixed,
+
+  // Node.js-style events:
+  +on?: (name: string, f: Function) => mixed,
+  +off?: (name: string, f: Function) => mixed
+}
+
+/**
+ * Options used to connect a bridge to a byte stream.
+ */
+export type StreamOptions = ConnectOptions & {
+  // Frames bigger than this are an error. Defaults to 16MiB:
+  maxFrameBytes?: number
+}
+
+/**
+ * A Node.js-style duplex stream, such as a socket.
+ */
+export type StreamLike = {
+  on(name: string, f: Function): mixed,
+  removeListener(name: string, f: Function): mixed,
+  write(chunk: Uint8Array): mixed
+}
+
+/**
+ * Options used to connect a bridge to a WebSocket.
+ */
+export type WebSocketOptions = ConnectOptions & {
+  // How often to send heartbeat pings. Defaults to 15 seconds:
+  pingMs?: number,
+
+  // How long the socket can stay silent before we give up on it.
+  // Defaults to twice the ping interval:
+  timeoutMs?: number
+}
+
+/**
+ * A browser `WebSocket`, or a WebSocket from the Node.js `ws` package.
+ */
+export type WebSocketLike = {
+  +readyState: number,
+  binaryType?: string,
+  addEventListener(name: string, f: Function): mixed,
+  removeEventListener(name: string, f: Function): mixed,
+  close(): mixed,
+  send(data: mixed): mixed
+}
+
+/**
+ * Anything that delivers `message` events.
+ */
+export type EventTargetLike = {
+  addEventListener(name: string, f: Function): mixed,
+  removeEventListener(name: string, f: Function): mixed
+}
+
+/**
+ * Options used to connect a bridge to another window.
+ */
+export type WindowOptions = ConnectOptions & {
+  // The other window's origin, such as 'https://example.com':
+  origin: string,
+
+  // Keeps several bridges on the same window apart. Defaults to 'yaob':
+  channel?: string,
+
+  // The window to listen on, usually the current window:
+  window: EventTargetLike
+}
+
+/**
+ * Options used to connect a bridge to a React Native app
+ * from inside its WebView.
+ */
+export type WebViewOptions = ConnectOptions & {
+  channel?: string
+}
+
+/**
+ * A React Native WebView, or anything else that can run
+ * JavaScript inside the page.
+ */
+export type WebViewLike = {
+  injectJavaScript(code: string): mixed
+}
+
+/**
+ * A window, iframe `contentWindow`, or anything else with
+ * the `window.postMessage` signature.
+ */
+export type WindowLike = {
+  postMessage(
+    message: mixed,
+    targetOrigin: string,
+    transfer?: ArrayBuffer[]
+  ): mixed
+}
+
 /**
  * An object bridge.
  */
 export class Bridge {
   +_state: BridgeState
   +_rootPromise: Promise<Object>
+  +_services: { [name: string]: mixed }
 
   constructor(opts: BridgeOptions) {
     this._state = new BridgeState(opts)
-    this._rootPromise = new Promise(resolve =>
-      addListener(this._state, 'root', resolve)
+    this._services = {}
+
+    const handshake = new Promise((resolve, reject) =>
+      addListener(this._state, 'hello', (hello: HelloMessage) => {
+        let error: Error
+        if (hello.version !== protocolVersion) {
+          error = new IncompatibleError(
+            `The other side of the bridge uses protocol version ${hello.version}, but this side uses version ${protocolVersion}`
+          )
+        } else {
+          const missing = this._state.missingFeatures(hello)
+          if (missing.length === 0) return resolve()
+          error = new IncompatibleError(
+            `The other side of the bridge does not support ${missing.join(
+              ', '
+            )}`
+          )
+        }
+        this.close(error)
+        reject(error)
+      })
+    )
+    const root = new Promise((resolve, reject) => {
+      addListener(this._state, 'root', root => {
+        if (this._state.remoteHello != null) return resolve(root)
+        const error = new IncompatibleError(
+          'The other side of the bridge did not send a handshake'
+        )
+        this.close(error)
+        reject(error)
+      })
+      addListener(this._state, 'close', reject)
+    })
+    this._rootPromise = Promise.all([handshake, root]).then(
+      ([hello, root]) => root
     )
+
+    // Avoid unhandled rejection warnings if nobody calls `getRoot`:
+    this._rootPromise.catch(() => {})
+
+    // Keep track of the other side's services:
+    addListener(this._state, 'service', (service: ServiceEvent) => {
+      this._services[service.name] = service.object
+    })
+
+    this._state.emitHello()
   }
 
-  handleMessage(message: Message): void {
-    this._state.handleMessage(message)
+  handleMessage(message: mixed): void {
+    const { codec } = this._state
+    const decoded: Message =
+      codec != null ? codec.decode(message) : (message: any)
+    this._state.handleMessage(decoded)
   }
 
   getRoot(): Promise<any> {
@@ -57,6 +283,69 @@ export class Bridge {
   close(error: Error): void {
     this._state.close(error)
   }
+
+  /**
+   * Subscribes to bridge events.
+   * The bridge emits `close` when it closes, and `overflow` just before
+   * it closes because too many messages are waiting to be sent.
+   */
+  on(name: 'close' | 'overflow', f: (error: Error) => mixed): CallbackRemover {
+    return addListener(this._state, name, f)
+  }
+
+  /**
+   * Publishes an object under a name, so the other side can `get` it.
+   * Exposing a different object under the same name replaces the old one,
+   * and exposing `undefined` withdraws it.
+   */
+  expose(name: string, object: mixed): void {
+    const service: ServiceEvent = { name, object }
+    this._state.emitEvent(0, 'service', service)
+  }
+
+  /**
+   * Looks up an object the other side has exposed,
+   * waiting for it to appear if necessary.
+   */
+  get(name: string): Promise<any> {
+    const object = this._services[name]
+    if (object != null) return Promise.resolve(object)
+    if (this._state.closed) {
+      return Promise.reject(new Error('The bridge is closed'))
+    }
+
+    return new Promise((resolve, reject) => {
+      const unwatch = this.watch(name, object => {
+        if (object == null) return
+        unwatch()
+        unclose()
+        resolve(object)
+      })
+      const unclose = addListener(this._state, 'close', (error: Error) => {
+        unwatch()
+        unclose()
+        reject(error)
+      })
+    })
+  }
+
+  /**
+   * Calls a function whenever the other side exposes,
+   * replaces, or withdraws the named service.
+   */
+  watch(name: string, f: (object: any) => mixed): CallbackRemover {
+    return addListener(this._state, 'service', (service: ServiceEvent) => {
+      if (service.name === name) f(service.object)
+    })
+  }
+
+  /**
+   * Switches a resumable bridge to a new transport,
+   * re-sending any messages the other side may have missed.
+   */
+  resume(sendMessage: SendMessage): void {
+    this._state.resume(sendMessage)
+  }
 }
 
 /**
@@ -68,20 +357,40 @@ export function makeLocalBridge<T>(o: T, opts: LocalBridgeOptions = {}): T {
   function nopClone(m: Object): Object {
     return m
   }
-  const { cloneMessage = nopClone, hideProperties, throttleMs } = opts
+  const {
+    callTimeoutMs,
+    classThrottleMs,
+    cloneMessage = nopClone,
+    eventThrottleMs,
+    hideProperties,
+    methodTimeoutMs,
+    patches,
+    propertyThrottleMs,
+    throttleMs
+  } = opts
 
   const serverState = new BridgeState({
     sendMessage(message) {
       clientState.handleMessage(cloneMessage(message))
     },
+    classThrottleMs,
+    eventThrottleMs,
     hideProperties,
+    patches,
+    propertyThrottleMs,
     throttleMs
   })
   const clientState = new BridgeState({
     sendMessage(message) {
       serverState.handleMessage(cloneMessage(message))
     },
+    callTimeoutMs,
+    classThrottleMs,
+    eventThrottleMs,
     hideProperties,
+    methodTimeoutMs,
+    patches,
+    propertyThrottleMs,
     throttleMs
   })
 
@@ -89,3 +398,422 @@ export function makeLocalBridge<T>(o: T, opts: LocalBridgeOptions = {}): T {
   serverState.sendNow()
   return unpackData(clientState, cloneMessage(data), 'root')
 }
+
+/**
+ * A bridge connected to a transport, along with its root promise.
+ * Closing the bridge detaches it from the transport.
+ */
+export type BridgeConnection = {
+  +bridge: Bridge,
+  +root: Promise<any>
+}
+
+/**
+ * A bridge connected to the page inside a React Native WebView.
+ * Pass `onMessage` to the WebView's `onMessage` prop.
+ */
+export type WebViewHostConnection = {
+  +bridge: Bridge,
+  +onMessage: (event: Object) => void,
+  +root: Promise<any>
+}
+
+/**
+ * Connects a bridge to a message port or worker,
+ * returning the bridge and a promise for the other side's root object.
+ * Pass a `root` option to send this side's root object.
+ */
+export function connectPort(
+  port: MessagePortLike,
+  opts: ConnectOptions = {}
+): BridgeConnection {
+  const { codec, onError, structuredClone = codec == null } = opts
+  const bridge = makeConnectedBridge(
+    { ...opts, structuredClone },
+    (message, transfer = []) => port.postMessage(message, transfer),
+    () => {
+      for (const name of Object.keys(events)) {
+        if (port.off != null) port.off(name, events[name])
+        else if (port.removeEventListener != null) {
+          port.removeEventListener(name, events[name])
+        }
+      }
+    }
+  )
+
+  // Node.js passes the data directly, but browsers wrap it in an event:
+  const nodeStyle = typeof port.on === 'function'
+  function handleMessage(event: any): void {
+    bridge.handleMessage(nodeStyle ? event : event.data)
+  }
+  function handleMessageError(event: any): void {
+    if (onError == null) return
+    onError(
+      event instanceof Error
+        ? event
+        : new TypeError('Could not deserialize an incoming message')
+    )
+  }
+  function handleClose(): void {
+    bridge.close(new Error('The message port closed'))
+  }
+  function handleError(error: Error): void {
+    bridge.close(error)
+  }
+
+  const events: { [name: string]: Function } = {
+    message: handleMessage,
+    messageerror: handleMessageError
+  }
+  if (nodeStyle) {
+    events.close = handleClose
+    events.error = handleError
+    events.exit = handleClose
+  }
+  for (const name of Object.keys(events)) {
+    if (port.on != null) port.on(name, events[name])
+    else if (port.addEventListener != null) {
+      port.addEventListener(name, events[name])
+    }
+  }
+
+  // Browser ports don't deliver messages to `addEventListener` until started:
+  if (!nodeStyle && port.start != null) port.start()
+
+  return { bridge, root: bridge.getRoot() }
+}
+
+/**
+ * Connects a bridge to a Node.js-style duplex byte stream,
+ * such as a socket or a child process's standard I/O,
+ * returning the bridge and a promise for the other side's root object.
+ * Pass a `root` option to send this side's root object.
+ */
+export function connectStream(
+  stream: StreamLike,
+  opts: StreamOptions = {}
+): BridgeConnection {
+  const { codec, maxFrameBytes = 0x1000000 } = opts
+  const reader = new FrameReader(maxFrameBytes)
+
+  // Codecs without the binary flag produce text, which we send as UTF-8:
+  const binary = codec != null && codec.binary === true
+  const bridge = makeConnectedBridge(
+    opts,
+    message => {
+      const payload: Uint8Array = binary
+        ? message
+        : utf8Encode(codec != null ? message : JSON.stringify(message))
+      if (payload.length > maxFrameBytes) {
+        return bridge.close(
+          new RangeError(
+            `Outgoing frame is ${payload.length} bytes, but the limit is ${maxFrameBytes}`
+          )
+        )
+      }
+      stream.write(encodeFrame(payload))
+    },
+    () => {
+      for (const name of Object.keys(events)) {
+        stream.removeListener(name, events[name])
+      }
+
+      // Node.js crashes on errors nobody listens for:
+      stream.on('error', ignoreError)
+    }
+  )
+
+  function handleData(chunk: Uint8Array): void {
+    try {
+      for (const frame of reader.push(chunk)) {
+        if (bridge._state.closed) return
+        if (binary) bridge.handleMessage(frame)
+        else if (codec != null) bridge.handleMessage(utf8Decode(frame))
+        else bridge.handleMessage(JSON.parse(utf8Decode(frame)))
+      }
+    } catch (error) {
+      bridge.close(error)
+    }
+  }
+  function handleEnd(): void {
+    bridge.close(new Error('The stream ended'))
+  }
+  function handleError(error: Error): void {
+    bridge.close(error)
+  }
+
+  const events: { [name: string]: Function } = {
+    close: handleEnd,
+    data: handleData,
+    end: handleEnd,
+    error: handleError
+  }
+  for (const name of Object.keys(events)) stream.on(name, events[name])
+
+  return { bridge, root: bridge.getRoot() }
+}
+
+/**
+ * Connects a bridge to a WebSocket,
+ * returning the bridge and a promise for the other side's root object.
+ * Pass a `root` option to send this side's root object.
+ *
+ * Both sides send heartbeat pings, and the bridge closes with a
+ * `TimeoutError` if the other side goes silent for too long.
+ */
+export function connectWebSocket(
+  socket: WebSocketLike,
+  opts: WebSocketOptions = {}
+): BridgeConnection {
+  const { codec, pingMs = 15000, timeoutMs = 2 * pingMs } = opts
+  if (codec != null) socket.binaryType = 'arraybuffer'
+
+  // Hold outgoing frames until the socket opens:
+  let queue: mixed[] | void = socket.readyState === 0 ? [] : undefined
+  function send(data: mixed): void {
+    if (queue != null) queue.push(data)
+    else if (socket.readyState === 1) socket.send(data)
+  }
+
+  const bridge = makeConnectedBridge(
+    opts,
+    message => send(codec != null ? message : JSON.stringify(message)),
+    () => {
+      clearInterval(pingTimer)
+      clearTimeout(deadTimer)
+      for (const name of Object.keys(events)) {
+        socket.removeEventListener(name, events[name])
+      }
+      if (socket.readyState <= 1) socket.close()
+    }
+  )
+
+  // Liveness checking:
+  let deadTimer: TimeoutID | void
+  function resetDeadTimer(): void {
+    if (timeoutMs <= 0) return
+    clearTimeout(deadTimer)
+    deadTimer = setTimeout(() => {
+      bridge.close(new TimeoutError('The WebSocket peer stopped responding'))
+    }, timeoutMs)
+  }
+  const pingTimer: IntervalID | void =
+    pingMs > 0 ? setInterval(() => send('ping'), pingMs) : undefined
+
+  function handleOpen(): void {
+    const frames = queue != null ? queue : []
+    queue = undefined
+    for (const frame of frames) socket.send(frame)
+    resetDeadTimer()
+  }
+  function handleMessage(event: { data: mixed }): void {
+    const { data } = event
+    resetDeadTimer()
+
+    // Heartbeats use plain-text frames, which can never be JSON objects:
+    if (data === 'ping') return send('pong')
+    if (data === 'pong') return
+
+    try {
+      bridge.handleMessage(
+        codec != null || typeof data !== 'string' ? data : JSON.parse(data)
+      )
+    } catch (error) {
+      bridge.close(error)
+    }
+  }
+  function handleClose(event: { code?: number }): void {
+    bridge.close(
+      new Error(
+        event.code != null
+          ? `The WebSocket closed with code ${event.code}`
+          : 'The WebSocket closed'
+      )
+    )
+  }
+  function handleError(event: { error?: mixed }): void {
+    bridge.close(
+      event.error instanceof Error
+        ? event.error
+        : new Error('The WebSocket failed')
+    )
+  }
+
+  const events: { [name: string]: Function } = {
+    close: handleClose,
+    error: handleError,
+    message: handleMessage,
+    open: handleOpen
+  }
+  for (const name of Object.keys(events)) {
+    socket.addEventListener(name, events[name])
+  }
+
+  if (socket.readyState === 1) resetDeadTimer()
+  else if (socket.readyState > 1) handleClose({})
+
+  return { bridge, root: bridge.getRoot() }
+}
+
+/**
+ * Connects a bridge to another window, such as an iframe or popup,
+ * returning the bridge and a promise for the other side's root object.
+ * Pass a `root` option to send this side's root object.
+ *
+ * The bridge only accepts messages from the target window,
+ * coming from the given origin on the same channel.
+ */
+export function connectWindow(
+  target: WindowLike,
+  opts: WindowOptions
+): BridgeConnection {
+  const {
+    channel = 'yaob',
+    codec,
+    origin,
+    structuredClone = codec == null
+  } = opts
+  const receiver: EventTargetLike = opts.window
+  if (origin == null || origin === '*') {
+    throw new TypeError('connectWindow needs a specific origin, not "*"')
+  }
+  if (receiver == null) {
+    throw new TypeError('connectWindow needs a window to listen on')
+  }
+
+  const bridge = makeConnectedBridge(
+    { ...opts, structuredClone },
+    (message, transfer = []) => {
+      target.postMessage({ yaob: channel, message }, origin, transfer)
+    },
+    () => {
+      receiver.removeEventListener('message', handleMessage)
+    }
+  )
+
+  function handleMessage(event: Object): void {
+    const { data, source } = event
+    if (source !== target) return
+    if (event.origin !== origin) return
+    if (data == null || data.yaob !== channel) return
+    bridge.handleMessage(data.message)
+  }
+  receiver.addEventListener('message', handleMessage)
+
+  return { bridge, root: bridge.getRoot() }
+}
+
+/**
+ * Connects a bridge from inside a React Native WebView
+ * to the app hosting it, returning the bridge and a promise for the app's root object.
+ * Pass a `root` option to send this side's root object.
+ *
+ * React Native WebViews can only carry strings, so this sends JSON text.
+ */
+export function connectWebView(opts: WebViewOptions = {}): BridgeConnection {
+  const { channel = 'yaob' } = opts
+
+  const bridge = makeConnectedBridge(
+    opts,
+    message => {
+      window.ReactNativeWebView.postMessage(
+        JSON.stringify({ yaob: channel, message })
+      )
+    },
+    () => {
+      window.removeEventListener('message', handleMessage)
+      document.removeEventListener('message', handleMessage)
+    }
+  )
+
+  function handleMessage(event: Object): void {
+    const { data, source } = event
+
+    // Only the host app and this page itself can send messages,
+    // not other frames:
+    if (source != null && source !== window) return
+    if (typeof data !== 'string') return
+
+    let envelope
+    try {
+      envelope = JSON.parse(data)
+    } catch (error) {
+      return // Not for us
+    }
+    if (envelope == null || envelope.yaob !== channel) return
+    bridge.handleMessage(envelope.message)
+  }
+
+  // iOS delivers messages to the window, but Android uses the document:
+  window.addEventListener('message', handleMessage)
+  document.addEventListener('message', handleMessage)
+
+  return { bridge, root: bridge.getRoot() }
+}
+
+/**
+ * Connects a bridge from a React Native app to the page inside a WebView,
+ * where the page calls `connectWebView`.
+ * Pass the returned `onMessage` function to the WebView's `onMessage` prop.
+ */
+export function connectWebViewHost(
+  webView: WebViewLike,
+  opts: WebViewOptions = {}
+): WebViewHostConnection {
+  const { channel = 'yaob' } = opts
+
+  const bridge = makeConnectedBridge(
+    opts,
+    message => {
+      const text = JSON.stringify({ yaob: channel, message })
+      webView.injectJavaScript(
+        `window.dispatchEvent(new MessageEvent('message', { data: ${JSON.stringify(
+          text
+        )} })); true;`
+      )
+    },
+    () => {}
+  )
+
+  function onMessage(event: Object): void {
+    const { data } = event.nativeEvent
+    if (typeof data !== 'string') return
+
+    let envelope
+    try {
+      envelope = JSON.parse(data)
+    } catch (error) {
+      return // Not for us
+    }
+    if (envelope == null || envelope.yaob !== channel) return
+    bridge.handleMessage(envelope.message)
+  }
+
+  return { bridge, onMessage, root: bridge.getRoot() }
+}
+
+/**
+ * Creates a bridge for one of the `connect` helpers,
+ * calling `detach` once the bridge closes.
+ */
+export function makeConnectedBridge(
+  opts: ConnectOptions,
+  sendMessage: SendMessage,
+  detach: () => void
+): Bridge {
+  const { onClose, onError, root, ...rest } = opts
+  const bridge = new Bridge({ ...rest, sendMessage })
+
+  addListener(bridge._state, 'close', (error: Error) => {
+    detach()
+    if (onClose != null) onClose(error)
+  })
+
+  if (root != null) bridge.sendRoot(root)
+  return bridge
+}
+
+/**
+ * Handles errors from streams we have detached from.
+ */
+function ignoreError(error: mixed): void {}
@@ -0,0 +1,86 @@
+// @flow
+/**
+ * @file
+ * Routines for bridging plain callback functions.
+ * The sending side wraps each function in a bridgeable object,
+ * and the receiving side turns the resulting proxy into a stub function.
+ */
+
+import { type ObjectTable } from './data.js'
+import { bridgifyObject, MAGIC_KEY } from './magic.js'
+import { close } from './manage.js'
+
+// Wrappers for our own functions, by bridge:
+const wrappers: WeakMap<ObjectTable, WeakMap<Function, Object>> = new WeakMap()
+
+// Maps wrappers back to their functions, and proxies to their stubs:
+const functions: WeakMap<Object, Function> = new WeakMap()
+
+// Maps stubs back to their proxies:
+const stubProxies: WeakMap<Function, Object> = new WeakMap()
+
+/**
+ * Finds the bridgeable object that represents a function on a bridge.
+ */
+export function packCallback(table: ObjectTable, f: Function): Object {
+  // Stubs just send their proxy back:
+  const proxy = stubProxies.get(f)
+  if (proxy != null) return proxy
+
+  let tableWrappers = wrappers.get(table)
+  if (tableWrappers == null) {
+    tableWrappers = new WeakMap()
+    wrappers.set(table, tableWrappers)
+  }
+
+  let wrapper: Object | void = tableWrappers.get(f)
+  if (wrapper == null || wrapper[MAGIC_KEY].closed) {
+    wrapper = bridgifyObject({
+      call(...args: any[]): mixed {
+        return f(...args)
+      },
+
+      release(): void {
+        close(this)
+      }
+    })
+    functions.set(wrapper, f)
+    tableWrappers.set(f, wrapper)
+  }
+  return wrapper
+}
+
+/**
+ * Turns a bridged object back into a callable function.
+ */
+export function unpackCallback(o: Object): Function {
+  // Functions coming back home, or stubs we have already made:
+  const f = functions.get(o)
+  if (f != null) return f
+
+  const stub = function callback(...args: any[]): Promise<mixed> {
+    return o.call(...args)
+  }
+  functions.set(o, stub)
+  stubProxies.set(stub, o)
+  return stub
+}
+
+/**
+ * Returns true if the object wraps one of our own functions.
+ */
+export function isCallbackWrapper(o: Object): boolean {
+  return functions.has(o) && !stubProxies.has(functions.get(o))
+}
+
+/**
+ * Tells the other side of the bridge to forget about a callback function.
+ * Calling the function after this point will fail.
+ */
+export function releaseCallback(f: Function): Promise<mixed> {
+  const proxy = stubProxies.get(f)
+  if (proxy == null) {
+    return Promise.reject(new TypeError('Not a bridged callback function'))
+  }
+  return proxy.release()
+}
@@ -0,0 +1,148 @@
+// @flow
+/**
+ * @file
+ * Routines for splitting oversized messages into chunks,
+ * for transports with per-message size limits.
+ *
+ * The sender serializes the whole message, either as JSON text
+ * or with the bridge's codec, and sends the pieces in order.
+ * The receiver glues the pieces back together and decodes the result.
+ */
+
+import { type BridgeCodec, utf8Encode } from './codec.js'
+import type { ChunkMessage, Message } from './protocol.js'
+
+/**
+ * Splits a message into encoded frames, each no bigger than the limit.
+ * Returns a single frame if the message already fits.
+ */
+export function splitMessage(
+  message: Message,
+  codec: BridgeCodec | void,
+  maxBytes: number,
+  id: number
+): mixed[] {
+  const encode = (message: Message): mixed =>
+    codec != null ? codec.encode(message) : message
+
+  const whole = encode(message)
+  if (frameSize(whole) <= maxBytes) return [whole]
+
+  const payload = codec != null ? whole : JSON.stringify(message)
+  if (typeof payload !== 'string' && !(payload instanceof Uint8Array)) {
+    throw new TypeError('Chunking needs a codec that produces text or bytes')
+  }
+
+  const out: mixed[] = []
+  let start = 0
+  let length = maxBytes
+  while (start < payload.length) {
+    // Shrink the piece until its frame fits:
+    let frame
+    while (true) {
+      let end = Math.min(payload.length, start + length)
+      if (typeof payload === 'string' && isSplitPair(payload, end)) --end
+      if (end <= start) {
+        throw new RangeError(`A maxMessageBytes of ${maxBytes} is too small`)
+      }
+
+      const chunk: ChunkMessage = { id, data: payload.slice(start, end) }
+      if (end === payload.length) chunk.final = true
+      frame = encode({ chunk })
+
+      const size = frameSize(frame)
+      if (size <= maxBytes) {
+        start = end
+        break
+      }
+      length = Math.floor(((end - start) * maxBytes) / size) - 1
+    }
+    out.push(frame)
+  }
+  return out
+}
+
+/**
+ * Collects incoming chunks, rebuilding the original message.
+ * Gives up if the message grows past the limit.
+ */
+export class ChunkAssembler {
+  +codec: BridgeCodec | void
+  +maxBytes: number
+  id: number
+  pieces: Array<string | Uint8Array>
+  size: number
+
+  constructor(codec: BridgeCodec | void, maxBytes: number) {
+    this.codec = codec
+    this.maxBytes = maxBytes
+    this.id = -1
+    this.pieces = []
+    this.size = 0
+  }
+
+  /**
+   * Adds a chunk, returning the whole message once it is complete.
+   */
+  push(chunk: ChunkMessage): Message | void {
+    const { id, data, final = false } = chunk
+
+    // Chunks arrive in order, so a new id abandons any leftovers:
+    if (id !== this.id) {
+      this.id = id
+      this.pieces = []
+      this.size = 0
+    }
+
+    this.pieces.push(data)
+    this.size += frameSize(data)
+    if (this.size > this.maxBytes) {
+      this.pieces = []
+      this.size = 0
+      throw new RangeError(
+        `Incoming message is over the ${this.maxBytes}-byte reassembly limit`
+      )
+    }
+    if (!final) return
+
+    const { codec, pieces } = this
+    this.id = -1
+    this.pieces = []
+    this.size = 0
+
+    if (typeof pieces[0] === 'string') {
+      const text = pieces.join('')
+      return codec != null ? codec.decode(text) : JSON.parse(text)
+    }
+
+    const bytes = new Uint8Array(pieces.reduce((sum, p) => sum + p.length, 0))
+    let offset = 0
+    for (const piece of pieces) {
+      bytes.set((piece: any), offset)
+      offset += piece.length
+    }
+    if (codec == null) throw new TypeError('Cannot decode binary chunks')
+    return codec.decode(bytes)
+  }
+}
+
+/**
+ * Estimates how many bytes a frame or chunk will take on the wire.
+ * Text counts by its UTF-8 size.
+ */
+function frameSize(frame: mixed): number {
+  if (frame instanceof Uint8Array) return frame.length
+  if (frame instanceof ArrayBuffer) return frame.byteLength
+  const text = typeof frame === 'string' ? frame : JSON.stringify(frame)
+  return text == null ? 0 : utf8Encode(text).length
+}
+
+/**
+ * Returns true if splitting the text at this position
+ * would break a UTF-16 surrogate pair.
+ */
+function isSplitPair(text: string, position: number): boolean {
+  if (position <= 0 || position >= text.length) return false
+  const c = text.charCodeAt(position - 1)
+  return c >= 0xd800 && c < 0xdc00
+}
@@ -0,0 +1,371 @@
+// @flow
+/**
+ * @file
+ * Routines for turning messages into compact binary frames.
+ * The format is a subset of CBOR (RFC 8949),
+ * which can carry byte arrays without base64-encoding them.
+ */
+
+import type { Message } from './protocol.js'
+
+/**
+ * Turns messages into something the transport can carry, and back.
+ * If `binary` is set, the codec can carry `Uint8Array` values as-is.
+ */
+export type BridgeCodec = {
+  +binary?: boolean,
+  encode(message: Message): mixed,
+  decode(frame: mixed): Message
+}
+
+/**
+ * Encodes messages as binary CBOR frames,
+ * passing byte arrays through unchanged.
+ */
+export const binaryCodec: BridgeCodec = {
+  binary: true,
+
+  encode(message: Message): Uint8Array {
+    const writer = new Writer()
+    writer.writeValue(message)
+    return writer.finish()
+  },
+
+  decode(frame: mixed): Message {
+    let bytes: Uint8Array
+    if (frame instanceof Uint8Array) bytes = frame
+    else if (frame instanceof ArrayBuffer) bytes = new Uint8Array(frame)
+    else throw new TypeError('Expecting a binary message frame')
+
+    const reader = new Reader(bytes)
+    const out: any = reader.readValue()
+    if (reader.position !== bytes.length) {
+      throw new TypeError('Unexpected data after the message frame')
+    }
+    return out
+  }
+}
+
+// CBOR major types:
+const UINT = 0
+const NINT = 1
+const BYTES = 2
+const TEXT = 3
+const ARRAY = 4
+const MAP = 5
+const SIMPLE = 7
+
+/**
+ * Builds up a frame, growing its buffer as needed.
+ */
+class Writer {
+  bytes: Uint8Array
+  view: DataView
+  length: number
+
+  constructor() {
+    this.bytes = new Uint8Array(256)
+    this.view = new DataView(this.bytes.buffer)
+    this.length = 0
+  }
+
+  finish(): Uint8Array {
+    return this.bytes.slice(0, this.length)
+  }
+
+  // Makes space for more bytes, returning their starting position.
+  // Callers must access `this.bytes` only after calling this:
+  reserve(size: number): number {
+    const start = this.length
+    this.length += size
+    if (this.length > this.bytes.length) {
+      let capacity = this.bytes.length * 2
+      while (capacity < this.length) capacity *= 2
+      const bytes = new Uint8Array(capacity)
+      bytes.set(this.bytes)
+      this.bytes = bytes
+      this.view = new DataView(bytes.buffer)
+    }
+    return start
+  }
+
+  writeByte(byte: number): void {
+    const start = this.reserve(1)
+    this.bytes[start] = byte
+  }
+
+  writeBytes(bytes: Uint8Array): void {
+    const start = this.reserve(bytes.length)
+    this.bytes.set(bytes, start)
+  }
+
+  writeHeader(type: number, size: number): void {
+    const tag = type << 5
+    if (size < 24) {
+      this.writeByte(tag | size)
+    } else if (size < 0x100) {
+      const start = this.reserve(2)
+      this.bytes[start] = tag | 24
+      this.bytes[start + 1] = size
+    } else if (size < 0x10000) {
+      const start = this.reserve(3)
+      this.bytes[start] = tag | 25
+      this.view.setUint16(start + 1, size)
+    } else if (size < 0x100000000) {
+      const start = this.reserve(5)
+      this.bytes[start] = tag | 26
+      this.view.setUint32(start + 1, size)
+    } else {
+      const start = this.reserve(9)
+      this.bytes[start] = tag | 27
+      this.view.setUint32(start + 1, Math.floor(size / 0x100000000))
+      this.view.setUint32(start + 5, size % 0x100000000)
+    }
+  }
+
+  writeValue(value: mixed): void {
+    switch (typeof value) {
+      case 'boolean':
+        this.writeByte(value ? 0xf5 : 0xf4)
+        return
+
+      case 'number':
+        if (Number.isSafeInteger(value) && !Object.is(value, -0)) {
+          if (value >= 0) this.writeHeader(UINT, value)
+          else this.writeHeader(NINT, -1 - value)
+        } else {
+          const start = this.reserve(9)
+          this.bytes[start] = 0xfb
+          this.view.setFloat64(start + 1, value)
+        }
+        return
+
+      case 'string': {
+        const bytes = utf8Encode(value)
+        this.writeHeader(TEXT, bytes.length)
+        this.writeBytes(bytes)
+        return
+      }
+
+      case 'object': {
+        if (value === null) {
+          this.writeByte(0xf6)
+          return
+        }
+        if (value instanceof Uint8Array) {
+          this.writeHeader(BYTES, value.length)
+          this.writeBytes(value)
+          return
+        }
+        if (Array.isArray(value)) {
+          this.writeHeader(ARRAY, value.length)
+          for (const item of value) this.writeValue(item)
+          return
+        }
+
+        // Like JSON, skip undefined properties:
+        const names = []
+        for (const name of Object.keys(value)) {
+          if (value[name] !== undefined) names.push(name)
+        }
+        this.writeHeader(MAP, names.length)
+        for (const name of names) {
+          this.writeValue(name)
+          this.writeValue(value[name])
+        }
+        return
+      }
+
+      default:
+        // Like JSON, turn anything else into null:
+        this.writeByte(0xf6)
+    }
+  }
+}
+
+/**
+ * Pulls values out of a frame.
+ */
+class Reader {
+  +bytes: Uint8Array
+  +view: DataView
+  position: number
+
+  constructor(bytes: Uint8Array) {
+    this.bytes = bytes
+    this.view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength)
+    this.position = 0
+  }
+
+  take(size: number): number {
+    const start = this.position
+    this.position += size
+    if (this.position > this.bytes.length) {
+      throw new RangeError('Unexpected end of message frame')
+    }
+    return start
+  }
+
+  readSize(info: number): number {
+    if (info < 24) return info
+    switch (info) {
+      case 24:
+        return this.bytes[this.take(1)]
+      case 25:
+        return this.view.getUint16(this.take(2))
+      case 26:
+        return this.view.getUint32(this.take(4))
+      case 27: {
+        const start = this.take(8)
+        return (
+          this.view.getUint32(start) * 0x100000000 +
+          this.view.getUint32(start + 4)
+        )
+      }
+    }
+    throw new TypeError(`Unsupported length encoding ${info}`)
+  }
+
+  readValue(): mixed {
+    const tag = this.bytes[this.take(1)]
+    const type = tag >> 5
+    const info = tag & 0x1f
+
+    switch (type) {
+      case UINT:
+        return this.readSize(info)
+
+      case NINT:
+        return -1 - this.readSize(info)
+
+      case BYTES: {
+        const size = this.readSize(info)
+        const start = this.take(size)
+        return this.bytes.slice(start, start + size)
+      }
+
+      case TEXT: {
+        const size = this.readSize(info)
+        const start = this.take(size)
+        return utf8Decode(this.bytes.subarray(start, start + size))
+      }
+
+      case ARRAY: {
+        const size = this.readSize(info)
+        const out = []
+        for (let i = 0; i < size; ++i) out.push(this.readValue())
+        return out
+      }
+
+      case MAP: {
+        const size = this.readSize(info)
+        const out = {}
+        for (let i = 0; i < size; ++i) {
+          const name = this.readValue()
+          if (typeof name !== 'string') {
+            throw new TypeError('Expecting a string property name')
+          }
+          // Like JSON, treat `__proto__` as an ordinary property:
+          Object.defineProperty(out, name, {
+            value: this.readValue(),
+            configurable: true,
+            enumerable: true,
+            writable: true
+          })
+        }
+        return out
+      }
+
+      case SIMPLE:
+        switch (info) {
+          case 20:
+            return false
+          case 21:
+            return true
+          case 22:
+            return null
+          case 23:
+            return undefined
+          case 26:
+            return this.view.getFloat32(this.take(4))
+          case 27:
+            return this.view.getFloat64(this.take(8))
+        }
+    }
+    throw new TypeError(`Unsupported CBOR type ${tag}`)
+  }
+}
+
+/**
+ * Turns a string into UTF-8 bytes.
+ * Not all JavaScript environments provide `TextEncoder`.
+ */
+export function utf8Encode(text: string): Uint8Array {
+  const out = new Uint8Array(text.length * 3)
+  let length = 0
+  for (let i = 0; i < text.length; ++i) {
+    let c = text.charCodeAt(i)
+
+    // Combine surrogate pairs:
+    if (c >= 0xd800 && c < 0xdc00 && i + 1 < text.length) {
+      const low = text.charCodeAt(i + 1)
+      if (low >= 0xdc00 && low < 0xe000) {
+        c = 0x10000 + ((c - 0xd800) << 10) + (low - 0xdc00)
+        ++i
+      }
+    }
+
+    if (c < 0x80) {
+      out[length++] = c
+    } else if (c < 0x800) {
+      out[length++] = 0xc0 | (c >> 6)
+      out[length++] = 0x80 | (c & 0x3f)
+    } else if (c < 0x10000) {
+      out[length++] = 0xe0 | (c >> 12)
+      out[length++] = 0x80 | ((c >> 6) & 0x3f)
+      out[length++] = 0x80 | (c & 0x3f)
+    } else {
+      out[length++] = 0xf0 | (c >> 18)
+      out[length++] = 0x80 | ((c >> 12) & 0x3f)
+      out[length++] = 0x80 | ((c >> 6) & 0x3f)
+      out[length++] = 0x80 | (c & 0x3f)
+    }
+  }
+  return out.subarray(0, length)
+}
+
+/**
+ * Turns UTF-8 bytes back into a string.
+ */
+export function utf8Decode(bytes: Uint8Array): string {
+  const codes: number[] = []
+  for (let i = 0; i < bytes.length; ) {
+    const c = bytes[i++]
+    if (c < 0x80) {
+      codes.push(c)
+    } else if (c < 0xe0) {
+      codes.push(((c & 0x1f) << 6) | (bytes[i++] & 0x3f))
+    } else if (c < 0xf0) {
+      codes.push(
+        ((c & 0x0f) << 12) | ((bytes[i++] & 0x3f) << 6) | (bytes[i++] & 0x3f)
+      )
+    } else {
+      const point =
+        ((c & 0x07) << 18) |
+        ((bytes[i++] & 0x3f) << 12) |
+        ((bytes[i++] & 0x3f) << 6) |
+        (bytes[i++] & 0x3f)
+      codes.push(
+        0xd800 + ((point - 0x10000) >> 10),
+        0xdc00 + ((point - 0x10000) & 0x3ff)
+      )
+    }
+  }
+
+  // Avoid blowing the stack with huge argument lists:
+  let out = ''
+  for (let i = 0; i < codes.length; i += 0x1000) {
+    out += String.fromCharCode(...codes.slice(i, i + 0x1000))
+  }
+  return out
+}
@@ -7,13 +7,28 @@
 
 import { base64 } from 'rfc4648'
 
+import { packCallback, unpackCallback } from './callbacks.js'
+import {
+  isAsyncIterable,
+  makeIteratorClient,
+  makeIteratorServer
+} from './iterators.js'
 import { MAGIC_KEY, sharedData } from './magic.js'
+import { getTransfer } from './transfer.js'
 
 /**
  * The data-packing system uses this interface to turn
  * bridgeable objects into packedId's and vice-versa.
  */
 export interface ObjectTable {
+  // True if the wire format can carry Uint8Array values as-is:
+  +binary?: boolean;
+
+  // True if the transport uses structured cloning,
+  // so binary data and dates can travel as-is:
+  +structuredClone?: boolean;
+  +addTransfer?: (buffer: ArrayBuffer) => void;
+
   getPackedId(o: Object): number | null;
   getObject(packedId: number): Object | void;
 }
@@ -29,18 +44,137 @@ export type DataMap =
   | DataMap[]
   | '' // No change
   | '?' // Invalid value
+  | '&' // Shared reference, either an anchor object or a numeric id
+  | 'b' // BigInt
   | 'd' // Date
   | 'e' // Error
+  | 'f' // Callback function
+  | 'n' // NaN, Infinity, -Infinity, or -0
   | 'o' // Bridged object
   | 's' // Global shared object
   | 'u' // Undefined
   | 'ab' // ArrayBuffer
+  | 'ai' // Async iterable
+  | 'dv' // DataView
+  | 'f32' // Float32Array
+  | 'f64' // Float64Array
+  | 'i8' // Int8Array
+  | 'i16' // Int16Array
+  | 'i32' // Int32Array
   | 'u8' // Uint8Array
+  | 'u8c' // Uint8ClampedArray
+  | 'u16' // Uint16Array
+  | 'u32' // Uint32Array
+  | 'bi64' // BigInt64Array
+  | 'bu64' // BigUint64Array
   | 'M' // Map
   | 'S' // Set
+  | string // Custom type, as '#' followed by the type name
+
+// Flow doesn't know about these yet:
+declare var BigInt: any
+declare var BigInt64Array: any
+declare var BigUint64Array: any
+
+/**
+ * Array buffer views, other than Uint8Array, by their map codes.
+ * These travel as their raw bytes, in the sender's byte order.
+ */
+const viewTypes: { [code: string]: Function } = {
+  dv: DataView,
+  f32: Float32Array,
+  f64: Float64Array,
+  i8: Int8Array,
+  i16: Int16Array,
+  i32: Int32Array,
+  u8c: Uint8ClampedArray,
+  u16: Uint16Array,
+  u32: Uint32Array
+}
+if (typeof BigInt64Array === 'function') viewTypes.bi64 = BigInt64Array
+if (typeof BigUint64Array === 'function') viewTypes.bu64 = BigUint64Array
+
+/**
+ * Describes how to send a custom data type over the bridge.
+ * The `pack` method turns the value into simpler bridgeable data,
+ * and the `unpack` method turns that back into the original type.
+ */
+export type CustomType<T> = {
+  +name: string,
+  test(value: mixed): boolean,
+  pack(value: T): mixed,
+  unpack(packed: any): T
+}
+
+const customTypes: { [name: string]: CustomType<any> } = {}
+
+/**
+ * Teaches the bridge to send a custom data type.
+ * Both sides of the bridge need to register the same types.
+ */
+export function registerType<T>(type: CustomType<T>): void {
+  const { name } = type
+  if (customTypes[name] != null) {
+    throw new Error(`A custom type named ${name} already exists`)
+  }
+  customTypes[name] = type
+}
+
+/**
+ * Finds the registered type for a value, if any.
+ */
+export function findCustomType(data: mixed): CustomType<any> | void {
+  for (const name of Object.keys(customTypes)) {
+    if (customTypes[name].test(data)) return customTypes[name]
+  }
+}
+
+// Error types the bridge always knows about:
+declare var AggregateError: any
+const builtinErrors: { [name: string]: Function } = {
+  EvalError,
+  RangeError,
+  ReferenceError,
+  SyntaxError,
+  TypeError,
+  URIError
+}
+if (typeof AggregateError === 'function') {
+  builtinErrors.AggregateError = AggregateError
+}
+
+const errorTypes: { [name: string]: Function } = {}
+
+/**
+ * Teaches the bridge to restore custom error types.
+ * Both sides of the bridge need to register the same types,
+ * using the same names.
+ */
+export function registerErrors(table: { [name: string]: Function }): void {
+  for (const name of Object.keys(table)) {
+    if (errorTypes[name] != null || builtinErrors[name] != null) {
+      throw new Error(`An error type named ${name} already exists`)
+    }
+    errorTypes[name] = table[name]
+  }
+}
+
+/**
+ * Finds the name of a built-in or registered error constructor.
+ */
+function findErrorName(Type: mixed): string | null {
+  for (const name of Object.keys(errorTypes)) {
+    if (errorTypes[name] === Type) return name
+  }
+  for (const name of Object.keys(builtinErrors)) {
+    if (builtinErrors[name] === Type) return name
+  }
+  return null
+}
 
 /**
  * A pure JSON value type.
+ * Binary codecs can also carry raw bytes.
  */
 export type JsonValue =
   | { +[name: string]: JsonValue }
@@ -50,6 +184,7 @@ export type JsonValue =
   | number
   | string
   | true
+  | Uint8Array
 
 /**
  * A value for sending over the wire.
@@ -70,13 +205,33 @@ export type PackedError = {
   +base: string | null
 } & PackedData // Object properties
 
+/**
+ * Tracks objects that appear more than once while packing a value.
+ * The first appearance becomes an anchor with an id,
+ * and later appearances refer back to that id.
+ */
+type PackContext = {
+  +shared: Set<Object>,
+  +maps: Map<Object, DataMap>,
+  +ids: Map<Object, number>
+}
+
+/**
+ * Restored anchor objects, by id.
+ */
+type UnpackRefs = mixed[]
+
 /**
  * Prepares a value for sending over the wire.
  */
-export function packData(table: ObjectTable, data: mixed): PackedData {
+export function packData(
+  table: ObjectTable,
+  data: mixed,
+  context: PackContext = makePackContext(data)
+): PackedData {
   try {
-    const map = mapData(table, data)
-    const raw = packItem(table, map, data)
+    const map = mapData(table, data, context)
+    const raw = packItem(table, map, data, context)
     return map !== '' ? { map, raw } : { raw }
   } catch (data) {
     return packThrow(table, data)
@@ -86,9 +241,13 @@ export function packData(table: ObjectTable, data: mixed): PackedData {
 /**
  * Prepares a thrown value for sending over the wire.
  */
-export function packThrow(table: ObjectTable, data: mixed): PackedData {
-  const map = mapData(table, data)
-  const raw = packItem(table, map, data)
+export function packThrow(
+  table: ObjectTable,
+  data: mixed,
+  context: PackContext = makePackContext(data)
+): PackedData {
+  const map = mapData(table, data, context)
+  const raw = packItem(table, map, data, context)
   return { map, raw, throw: true }
 }
 
@@ -99,42 +258,185 @@ export function unpackData(
   table: ObjectTable,
   data: PackedData,
   path: string,
-  supress: boolean = false
+  supress: boolean = false,
+  refs: UnpackRefs = []
 ): any {
   const { map, raw } = data
-  const out = map != null ? unpackItem(table, map, raw, path, supress) : raw
+  const out =
+    map != null ? unpackItem(table, map, raw, path, supress, refs) : raw
   if (data.throw) throw out
   return out
 }
 
+/**
+ * Returns true if a value refers to the same object more than once.
+ */
+export function hasSharedReferences(data: mixed): boolean {
+  const shared: Set<Object> = new Set()
+  findShared(data, new Set(), shared)
+  return shared.size > 0
+}
+
+/**
+ * Returns true if a packed value contains shared-reference anchors.
+ * Anchor ids only make sense within the value that created them,
+ * so these values can't be patched.
+ */
+export function hasAnchors(data: PackedData): boolean {
+  return data.map != null && mapHasAnchors(data.map, data.raw)
+}
+
+function mapHasAnchors(map: DataMap, raw: any): boolean {
+  if (map === '&') return true
+
+  if (typeof map === 'string') {
+    // These types hold a whole packed value inside:
+    const nested = map === 'e' || map === 'M' || map === 'S' || map[0] === '#'
+    return nested && raw != null && hasAnchors(raw)
+  }
+
+  if (raw == null) return false
+  if (Array.isArray(map)) {
+    for (let i = 0; i < map.length; ++i) {
+      if (mapHasAnchors(map[i], raw[i])) return true
+    }
+    return false
+  }
+  for (const n in map) {
+    if (mapHasAnchors(map[n], raw[n])) return true
+  }
+  return false
+}
+
+function makePackContext(data: mixed): PackContext {
+  const shared: Set<Object> = new Set()
+  findShared(data, new Set(), shared)
+  return { shared, maps: new Map(), ids: new Map() }
+}
+
+/**
+ * Searches through a value for objects that appear more than once.
+ * This needs to visit everything the packing process visits,
+ * or cycles could cause infinite recursion.
+ */
+function findShared(data: mixed, seen: Set<Object>, shared: Set<Object>) {
+  if (typeof data !== 'object' || data === null) return
+  if (seen.has(data)) {
+    shared.add(data)
+    return
+  }
+
+  // These are all leaf values:
+  if (
+    findCustomType(data) != null ||
+    data instanceof Date ||
+    data instanceof ArrayBuffer ||
+    ArrayBuffer.isView(data) ||
+    data[MAGIC_KEY] != null ||
+    isAsyncIterable(data)
+  ) {
+    return
+  }
+  seen.add(data)
+
+  if (data instanceof Error) {
+    findShared(data.cause, seen, shared)
+    findShared(data.errors, seen, shared)
+  }
+  if (data instanceof Map) {
+    for (const [key, value] of Array.from(data.entries())) {
+      findShared(key, seen, shared)
+      findShared(value, seen, shared)
+    }
+  } else if (data instanceof Set) {
+    for (const value of Array.from(data.values())) {
+      findShared(value, seen, shared)
+    }
+  } else if (Array.isArray(data)) {
+    for (let i = 0; i < data.length; ++i) findShared(data[i], seen, shared)
+  } else {
+    for (const n in data) findShared(data[n], seen, shared)
+  }
+}
+
 /**
  * Searches through a value, looking for data we can't send directly.
  * Returns a map showing where fixes need to take place.
  */
-function mapData(table: ObjectTable, data: mixed): DataMap {
+function mapData(
+  table: ObjectTable,
+  data: mixed,
+  context: PackContext
+): DataMap {
+  if (typeof data !== 'object' || data === null) {
+    return mapValue(table, data, context)
+  }
+  if (!context.shared.has(data)) return mapValue(table, data, context)
+
+  // Map shared objects once, since they could contain themselves:
+  if (!context.maps.has(data)) {
+    context.maps.set(data, '')
+    context.maps.set(data, mapValue(table, data, context))
+  }
+  return '&'
+}
+
+/**
+ * Maps a value that we know isn't a shared reference.
+ */
+function mapValue(
+  table: ObjectTable,
+  data: mixed,
+  context: PackContext
+): DataMap {
   switch (typeof data) {
     case 'boolean':
-    case 'number':
     case 'string':
       return ''
 
+    case 'number':
+      // JSON can't represent these:
+      return Number.isFinite(data) && !Object.is(data, -0) ? '' : 'n'
+
+    // $FlowFixMe - Flow doesn't know about this type yet
+    case 'bigint':
+      return 'b'
+
     case 'object': {
       if (data === null) return ''
+      const customType = findCustomType(data)
+      if (customType != null) return '#' + customType.name
+      if (table.structuredClone === true) {
+        if (data instanceof Date) return ''
+        if (data instanceof ArrayBuffer || ArrayBuffer.isView(data)) {
+          const buffer = getTransfer((data: any))
+          if (buffer != null && table.addTransfer != null) {
+            table.addTransfer(buffer)
+          }
+          return ''
+        }
+      }
       if (data instanceof Date) return 'd'
       if (data instanceof Error) return 'e'
       if (data instanceof ArrayBuffer) return 'ab'
       if (data instanceof Uint8Array) return 'u8'
+      if (ArrayBuffer.isView(data)) {
+        for (const code of Object.keys(viewTypes)) {
+          if (data instanceof viewTypes[code]) return (code: any)
+        }
+      }
       if (data instanceof Map) return 'M'
       if (data instanceof Set) return 'S'
       if (data[MAGIC_KEY] != null) {
         return data[MAGIC_KEY].shareId != null ? 's' : 'o'
       }
+      if (isAsyncIterable(data)) return 'ai'
 
       // Arrays:
       if (Array.isArray(data)) {
         let out: DataMap[] | '' = ''
         for (let i = 0; i < data.length; ++i) {
-          const map = mapData(table, data[i])
+          const map = mapData(table, data[i], context)
           if (map !== '' && out === '') {
             out = []
             for (let j = 0; j < i; ++j) out[j] = ''
@@ -147,7 +449,7 @@ function mapData(table: ObjectTable, data: mixed): DataMap {
       // Data objects:
       let out: { [name: string]: DataMap } | '' = ''
       for (const n in data) {
-        const map = mapData(table, data[n])
+        const map = mapData(table, data[n], context)
         if (map !== '') {
           if (out === '') out = {}
           out[n] = map
@@ -163,7 +465,7 @@ function mapData(table: ObjectTable, data: mixed): DataMap {
       // $FlowFixMe - MAGIC_KEY isn't a known property here
       return data[MAGIC_KEY] != null && data[MAGIC_KEY].shareId != null
         ? 's'
-        : '?'
+        : 'f'
 
     default:
       return '?'
@@ -173,39 +475,108 @@ function mapData(table: ObjectTable, data: mixed): DataMap {
 /**
  * Breaks down an error object into a JSON representation.
  */
-function packError(table: ObjectTable, o: Object): PackedError {
+function packError(
+  table: ObjectTable,
+  o: Object,
+  context: PackContext
+): PackedError {
   // Grab the properties off the object:
   const { message, stack } = o
   const props = { message, stack, ...o }
 
+  // These are not enumerable on built-in errors:
+  if ('cause' in o && !('cause' in props)) props.cause = o.cause
+  if (Array.isArray(o.errors) && !('errors' in props)) props.errors = o.errors
+
+  // Don't turn error methods into callbacks:
+  for (const n in props) {
+    const value = props[n]
+    if (
+      typeof value === 'function' &&
+      mapValue(table, value, context) === 'f'
+    ) {
+      delete props[n]
+    }
+  }
+
+  // Find the closest error type the other side will recognize:
   let base = null
-  if (o instanceof EvalError) base = 'EvalError'
-  else if (o instanceof RangeError) base = 'RangeError'
-  else if (o instanceof ReferenceError) base = 'ReferenceError'
-  else if (o instanceof SyntaxError) base = 'SyntaxError'
-  else if (o instanceof TypeError) base = 'TypeError'
-  else if (o instanceof URIError) base = 'URIError'
+  let Base: Function = Error
+  for (
+    let p = Object.getPrototypeOf(o);
+    p != null;
+    p = Object.getPrototypeOf(p)
+  ) {
+    base = findErrorName(p.constructor)
+    if (base != null) {
+      Base = p.constructor
+      break
+    }
+  }
+
+  // Keep the name, unless the base type already provides it:
+  if (!('name' in props) && o.name !== Base.prototype.name) {
+    props.name = o.name
+  }
 
   // Build the JSON value:
-  return { base, ...packData(table, props) }
+  return { base, ...packData(table, props, context) }
+}
+
+/**
+ * Binary codecs can carry bytes directly, but JSON needs base64.
+ */
+function packBytes(table: ObjectTable, data: Uint8Array): JsonValue {
+  return table.binary === true ? data.slice() : base64.stringify(data)
 }
 
 /**
  * Copies a value, removing any API objects identified in the types.
  */
-function packItem(table: ObjectTable, map: DataMap, data: any): JsonValue {
+function packItem(
+  table: ObjectTable,
+  map: DataMap,
+  data: any,
+  context: PackContext
+): JsonValue {
   switch (map) {
     case '':
       return data
 
+    case '&': {
+      // Refer back to objects we have already sent:
+      const id = context.ids.get(data)
+      if (id != null) return id
+
+      // Otherwise, send an anchor:
+      const anchor = context.ids.size
+      context.ids.set(data, anchor)
+      const inner = context.maps.get(data)
+      const raw = packItem(table, inner != null ? inner : '', data, context)
+      // $FlowFixMe - Flow is incorrect. This is fine.
+      return inner != null && inner !== ''
+        ? { id: anchor, map: inner, raw }
+        : { id: anchor, raw }
+    }
+
     case '?':
       return typeof data
 
+    case 'b':
+      return data.toString()
+
     case 'd':
-      return data.toISOString()
+      // Invalid dates have no ISO representation:
+      return isNaN(data.getTime()) ? null : data.toISOString()
 
     case 'e':
-      return packError(table, data)
+      return packError(table, data, context)
+
+    case 'f':
+      return table.getPackedId(packCallback(table, data))
+
+    case 'n':
+      return Object.is(data, -0) ? '-0' : String(data)
 
     case 'o':
       return table.getPackedId(data)
@@ -217,25 +588,51 @@ function packItem(table: ObjectTable, map: DataMap, data: any): JsonValue {
       return null
 
     case 'ab':
-      return base64.stringify(new Uint8Array(data))
+      return packBytes(table, new Uint8Array(data))
+
+    case 'ai':
+      return table.getPackedId(makeIteratorServer(data))
 
     case 'u8':
-      return base64.stringify(data)
+      return packBytes(table, data)
+
+    case 'dv':
+    case 'f32':
+    case 'f64':
+    case 'i8':
+    case 'i16':
+    case 'i32':
+    case 'u8c':
+    case 'u16':
+    case 'u32':
+    case 'bi64':
+    case 'bu64':
+      return packBytes(
+        table,
+        new Uint8Array(data.buffer, data.byteOffset, data.byteLength)
+      )
 
     case 'M':
       // $FlowFixMe - Flow is incorrect. This is fine.
-      return packData(table, Array.from(data.entries()))
+      return packData(table, Array.from(data.entries()), context)
 
     case 'S':
       // $FlowFixMe - Flow is incorrect. This is fine.
-      return packData(table, Array.from(data.values()))
+      return packData(table, Array.from(data.values()), context)
 
     default: {
+      // Custom types:
+      if (typeof map === 'string') {
+        const type = customTypes[map.slice(1)]
+        // $FlowFixMe - Flow is incorrect. This is fine.
+        return packData(table, type.pack(data), context)
+      }
+
       // Arrays:
       if (Array.isArray(map)) {
         const out = []
         for (let i = 0; i < map.length; ++i) {
-          out[i] = packItem(table, map[i], data[i])
+          out[i] = packItem(table, map[i], data[i], context)
         }
         return out
       }
@@ -243,41 +640,95 @@ function packItem(table: ObjectTable, map: DataMap, data: any): JsonValue {
       // Objects:
       const out = {}
       for (const n in data) {
-        out[n] = n in map ? packItem(table, map[n], data[n]) : data[n]
+        out[n] = n in map ? packItem(table, map[n], data[n], context) : data[n]
       }
       return out
     }
   }
 }
 
+/**
+ * Creates an empty error of the given type.
+ */
+function makeError(base: string | null): Object {
+  if (base != null && errorTypes[base] != null) {
+    // We don't know what arguments custom constructors expect:
+    return Object.create(errorTypes[base].prototype)
+  }
+  if (base != null && builtinErrors[base] != null) {
+    const Base = builtinErrors[base]
+    return Base === builtinErrors.AggregateError ? new Base([]) : new Base()
+  }
+  return new Error()
+}
+
 /**
  * Restores an error object from its JSON representation.
  */
 function unpackError(
   table: ObjectTable,
   value: PackedError,
-  path: string
+  path: string,
+  refs: UnpackRefs,
+  anchor?: number
 ): Error {
-  const bases = {
-    EvalError,
-    RangeError,
-    ReferenceError,
-    SyntaxError,
-    TypeError,
-    URIError
-  }
-
   // Make the object:
-  const Base = value.base != null ? bases[value.base] || Error : Error
-  const out: Object = new Base()
+  const out: Object = makeError(value.base)
+  if (anchor != null) refs[anchor] = out
 
   // Restore the properties:
-  const props = unpackData(table, value, path, true)
+  const props = unpackData(table, value, path, true, refs)
   for (const n in props) out[n] = props[n]
 
   return out
 }
 
+/**
+ * Restores bytes sent either natively or as base64.
+ */
+function unpackBytes(raw: mixed, path: string): Uint8Array {
+  if (raw instanceof Uint8Array) return raw
+  if (typeof raw !== 'string') {
+    throw new TypeError(`Expecting a base64 string at ${path}`)
+  }
+  return base64.parse(raw)
+}
+
+/**
+ * Rebuilds an array buffer view from its bytes.
+ * The view gets a fresh buffer, so it starts at offset 0.
+ */
+function unpackView(code: string, bytes: Uint8Array, path: string): Object {
+  const Type = viewTypes[code]
+  if (Type == null) {
+    throw new TypeError(`Unsupported view type ${code} at ${path}`)
+  }
+  const { BYTES_PER_ELEMENT = 1 } = Type
+  if (bytes.byteLength % BYTES_PER_ELEMENT !== 0) {
+    throw new TypeError(
+      `Expecting a multiple of ${BYTES_PER_ELEMENT} bytes at ${path}`
+    )
+  }
+  return new Type(
+    bytes.buffer.slice(bytes.byteOffset, bytes.byteOffset + bytes.byteLength)
+  )
+}
+
+/**
+ * Looks up a bridged object from its packedId.
+ */
+function unpackObject(table: ObjectTable, raw: mixed, path: string): Object {
+  if (raw === null) {
+    throw new TypeError(`Closed bridge object at ${path}`)
+  }
+  if (typeof raw !== 'number') {
+    throw new TypeError(`Expecting a packedId at ${path}`)
+  }
+  const o = table.getObject(-raw)
+  if (o == null) throw new RangeError(`Invalid packedId ${raw} at ${path}`)
+  return o
+}
+
 /**
  * Restores a value that has been sent over the wire.
  */
@@ -286,37 +737,70 @@ function unpackItem(
   map: DataMap,
   raw: any,
   path: string,
-  supress: boolean
+  supress: boolean,
+  refs: UnpackRefs,
+  anchor?: number
 ): any {
   switch (map) {
     case '':
       return raw
 
+    case '&': {
+      // Back-references:
+      if (typeof raw === 'number') {
+        if (!(raw in refs)) {
+          throw new RangeError(`Invalid back-reference ${raw} at ${path}`)
+        }
+        return refs[raw]
+      }
+
+      // Anchors:
+      if (
+        typeof raw !== 'object' ||
+        raw === null ||
+        typeof raw.id !== 'number'
+      ) {
+        throw new TypeError(`Expecting a shared object at ${path}`)
+      }
+      const { id, map = '' } = raw
+      refs[id] = raw.raw // Containers replace this once they exist
+      return unpackItem(table, map, raw.raw, path, supress, refs, id)
+    }
+
     case '?': {
       const type = typeof raw === 'string' ? raw : '?'
       throw new TypeError(`Unsupported value of type ${type} at ${path}`)
     }
 
+    case 'b':
+      if (typeof BigInt !== 'function') {
+        throw new TypeError(`BigInt is not supported at ${path}`)
+      }
+      if (typeof raw !== 'string') {
+        throw new TypeError(`Expecting a BigInt string at ${path}`)
+      }
+      return BigInt(raw)
+
     case 'd':
-      return new Date(raw)
+      return new Date(raw === null ? NaN : raw)
 
     case 'e':
       if (typeof raw !== 'object' || raw === null) {
         throw new TypeError(`Expecting an error description at ${path}`)
       }
-      return unpackError(table, raw, path)
+      return unpackError(table, raw, path, refs, anchor)
 
-    case 'o': {
-      if (raw === null) {
-        throw new TypeError(`Closed bridge object at ${path}`)
-      }
-      if (typeof raw !== 'number') {
-        throw new TypeError(`Expecting a packedId at ${path}`)
+    case 'f':
+      return unpackCallback(unpackObject(table, raw, path))
+
+    case 'n':
+      if (typeof raw !== 'string') {
+        throw new TypeError(`Expecting a number string at ${path}`)
       }
-      const o = table.getObject(-raw)
-      if (o == null) throw new RangeError(`Invalid packedId ${raw} at ${path}`)
-      return o
-    }
+      return Number(raw)
+
+    case 'o':
+      return unpackObject(table, raw, path)
 
     case 's': {
       if (typeof raw !== 'string') {
@@ -330,33 +814,69 @@ function unpackItem(
     case 'u':
       return undefined
 
-    case 'ab':
-      if (typeof raw !== 'string') {
-        throw new TypeError(`Expecting a base64 string at ${path}`)
-      }
-      return base64.parse(raw).buffer
+    case 'ab': {
+      const bytes = unpackBytes(raw, path)
+      return bytes.buffer.slice(
+        bytes.byteOffset,
+        bytes.byteOffset + bytes.byteLength
+      )
+    }
+
+    case 'ai':
+      return makeIteratorClient(unpackObject(table, raw, path))
 
     case 'u8':
-      if (typeof raw !== 'string') {
-        throw new TypeError(`Expecting a base64 string at ${path}`)
-      }
-      return base64.parse(raw)
+      return unpackBytes(raw, path)
+
+    case 'dv':
+    case 'f32':
+    case 'f64':
+    case 'i8':
+    case 'i16':
+    case 'i32':
+    case 'u8c':
+    case 'u16':
+    case 'u32':
+    case 'bi64':
+    case 'bu64':
+      return unpackView(map, unpackBytes(raw, path), path)
 
     case 'M': {
       if (typeof raw !== 'object' || raw === null) {
         throw new TypeError(`Expecting an Map description at ${path}`)
       }
-      return new Map(unpackData(table, raw, path))
+      const out = new Map()
+      if (anchor != null) refs[anchor] = out
+      const entries = unpackData(table, raw, path, false, refs)
+      for (const [key, value] of entries) out.set(key, value)
+      return out
     }
 
     case 'S': {
       if (typeof raw !== 'object' || raw === null) {
         throw new TypeError(`Expecting an Set description at ${path}`)
       }
-      return new Set(unpackData(table, raw, path))
+      const out = new Set()
+      if (anchor != null) refs[anchor] = out
+      const values = unpackData(table, raw, path, false, refs)
+      for (const value of values) out.add(value)
+      return out
     }
 
     default: {
+      // Custom types:
+      if (typeof map === 'string' && map[0] === '#') {
+        const name = map.slice(1)
+        const type = customTypes[name]
+        if (type == null) {
+          throw new TypeError(`Unknown custom type '${name}' at ${path}`)
+        }
+        if (typeof raw !== 'object' || raw === null) {
+          throw new TypeError(`Expecting a ${name} description at ${path}`)
+        }
+        return type.unpack(unpackData(table, raw, path, false, refs))
+      }
+
       if (typeof map !== 'object' || map === null) {
         throw new TypeError(`Invalid type information ${map} at ${path}`)
       }
@@ -370,20 +890,29 @@ function unpackItem(
           throw new TypeError(`Expecting an array at ${path}`)
         }
         const out = []
+        if (anchor != null) refs[anchor] = out
         for (let i = 0; i < map.length; ++i) {
           if (supress === true && map[i] === '?') continue
-          out[i] = unpackItem(table, map[i], raw[i], `${path}[${i}]`, supress)
+          out[i] = unpackItem(
+            table,
+            map[i],
+            raw[i],
+            `${path}[${i}]`,
+            supress,
+            refs
+          )
         }
         return out
       }
 
       // Objects:
       const out = {}
+      if (anchor != null) refs[anchor] = out
       for (const n in raw) {
         if (supress === true && map[n] === '?') continue
         out[n] =
           n in map
-            ? unpackItem(table, map[n], raw[n], `${path}.${n}`, supress)
+            ? unpackItem(table, map[n], raw[n], `${path}.${n}`, supress, refs)
             : raw[n]
       }
       return out
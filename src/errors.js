@@ -0,0 +1,36 @@
+// @flow
+/**
+ * @file
+ * Error types the bridge itself can produce.
+ */
+
+/**
+ * The two sides of the bridge cannot understand each other,
+ * such as when they use different yaob versions.
+ */
+export class IncompatibleError extends Error {
+  constructor(message: string) {
+    super(message)
+    this.name = 'IncompatibleError'
+  }
+}
+
+/**
+ * Too many messages piled up waiting for a slow transport.
+ */
+export class OverflowError extends Error {
+  constructor(message: string) {
+    super(message)
+    this.name = 'OverflowError'
+  }
+}
+
+/**
+ * A proxy method call did not return within its time limit.
+ */
+export class TimeoutError extends Error {
+  constructor(message: string) {
+    super(message)
+    this.name = 'TimeoutError'
+  }
+}
@@ -0,0 +1,77 @@
+// @flow
+/**
+ * @file
+ * Routines for carrying messages over byte streams.
+ * Each frame is a 4-byte big-endian length, followed by that many bytes.
+ */
+
+const headerBytes = 4
+
+/**
+ * Adds a length header to a message payload.
+ */
+export function encodeFrame(payload: Uint8Array): Uint8Array {
+  const out = new Uint8Array(headerBytes + payload.length)
+  new DataView(out.buffer).setUint32(0, payload.length)
+  out.set(payload, headerBytes)
+  return out
+}
+
+/**
+ * Collects incoming chunks, splitting them back into frames.
+ * Frames can span chunks, and chunks can hold several frames.
+ */
+export class FrameReader {
+  +maxFrameBytes: number
+  bytes: Uint8Array
+  length: number
+
+  constructor(maxFrameBytes: number) {
+    this.maxFrameBytes = maxFrameBytes
+    this.bytes = new Uint8Array(256)
+    this.length = 0
+  }
+
+  /**
+   * Adds a chunk, returning any frames it completes.
+   * Throws if the other side tries to send an oversized frame.
+   */
+  push(chunk: Uint8Array): Uint8Array[] {
+    this.append(chunk)
+
+    const out: Uint8Array[] = []
+    let start = 0
+    while (this.length - start >= headerBytes) {
+      const view = new DataView(this.bytes.buffer, start, headerBytes)
+      const size = view.getUint32(0)
+      if (size > this.maxFrameBytes) {
+        throw new RangeError(
+          `Incoming frame is ${size} bytes, but the limit is ${this.maxFrameBytes}`
+        )
+      }
+
+      const end = start + headerBytes + size
+      if (end > this.length) break
+      out.push(this.bytes.slice(start + headerBytes, end))
+      start = end
+    }
+
+    // Move any partial frame to the front:
+    this.bytes.copyWithin(0, start, this.length)
+    this.length -= start
+    return out
+  }
+
+  append(chunk: Uint8Array): void {
+    const length = this.length + chunk.length
+    if (length > this.bytes.length) {
+      let capacity = this.bytes.length * 2
+      while (capacity < length) capacity *= 2
+      const bytes = new Uint8Array(capacity)
+      bytes.set(this.bytes.subarray(0, this.length))
+      this.bytes = bytes
+    }
+    this.bytes.set(chunk, this.length)
+    this.length = length
+  }
+}
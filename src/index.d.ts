@@ -1,9 +1,49 @@
+/**
+ * Turns messages into something the transport can carry, and back.
+ * If `binary` is set, the codec can carry `Uint8Array` values as-is.
+ */
+export interface BridgeCodec {
+  readonly binary?: boolean
+  encode: (message: object) => unknown
+  decode: (frame: unknown) => object
+}
+
+/**
+ * Encodes messages as binary CBOR frames,
+ * passing byte arrays through unchanged.
+ */
+export declare const binaryCodec: BridgeCodec
+
+/**
+ * Sees each message passing through the bridge, before encoding
+ * on the way out and after decoding on the way in.
+ * Each hook returns the message to pass along,
+ * which may be a modified copy, or `undefined` to drop it.
+ */
+export interface BridgeMiddleware {
+  readonly incoming?: (message: any) => object | undefined
+  readonly outgoing?: (message: any) => object | undefined
+}
+
 /**
  * Options used to create a new bridge.
  */
 export interface BridgeOptions {
-  sendMessage: (message: object) => unknown
+  sendMessage: (message: any, transfer?: ArrayBuffer[]) => unknown
+  callTimeoutMs?: number
+  classThrottleMs?: { [className: string]: number } | Map<Function, number>
+  codec?: BridgeCodec
+  eventThrottleMs?: number
   hideProperties?: string[]
+  highWaterMark?: number
+  maxMessageBytes?: number
+  maxReassemblyBytes?: number
+  methodTimeoutMs?: { [name: string]: number }
+  middleware?: BridgeMiddleware[]
+  patches?: boolean
+  propertyThrottleMs?: { [name: string]: number }
+  resumable?: boolean
+  structuredClone?: boolean
   throttleMs?: number
 }
 
@@ -12,21 +52,302 @@ export interface BridgeOptions {
  */
 export declare class Bridge {
   constructor(opts: BridgeOptions)
-  handleMessage(message: object): void
+  handleMessage(message: unknown): void
   getRoot(): Promise<any>
   sendRoot(root: object): void
   close(error: Error): void
+  on(name: 'close' | 'overflow', f: (error: Error) => unknown): CallbackRemover
+  expose(name: string, object: unknown): void
+  get(name: string): Promise<any>
+  watch(name: string, f: (object: any) => unknown): CallbackRemover
+  resume(sendMessage: (message: any) => unknown): void
+}
+
+/**
+ * A bridge connected to a transport, along with its root promise.
+ * Closing the bridge detaches it from the transport.
+ */
+export interface BridgeConnection {
+  readonly bridge: Bridge
+  readonly root: Promise<any>
+}
+
+/**
+ * Options used to connect a bridge to a transport,
+ * such as with `connectPort`.
+ */
+export interface ConnectOptions {
+  callTimeoutMs?: number
+  classThrottleMs?: { [className: string]: number } | Map<Function, number>
+  codec?: BridgeCodec
+  eventThrottleMs?: number
+  hideProperties?: string[]
+  highWaterMark?: number
+  maxMessageBytes?: number
+  maxReassemblyBytes?: number
+  methodTimeoutMs?: { [name: string]: number }
+  middleware?: BridgeMiddleware[]
+  patches?: boolean
+  propertyThrottleMs?: { [name: string]: number }
+  resumable?: boolean
+  root?: object
+
+  // Transport events:
+  onClose?: (error: Error) => unknown
+  onError?: (error: Error) => unknown
+  structuredClone?: boolean
+  throttleMs?: number
+}
+
+/**
+ * Anything with a `postMessage` method, such as a browser `MessagePort`
+ * or `Worker`, or a Node.js `worker_threads` port or worker.
+ */
+export interface MessagePortLike {
+  postMessage: (message: unknown, transfer?: ArrayBuffer[]) => unknown
+
+  // Browser-style events:
+  addEventListener?: (name: string, f: (event: any) => void) => unknown
+  removeEventListener?: (name: string, f: (event: any) => void) => unknown
+  start?: () => unknown
+
+  // Node.js-style events:
+  on?: (name: string, f: (event: any) => void) => unknown
+  off?: (name: string, f: (event: any) => void) => unknown
+}
+
+/**
+ * Options used to connect a bridge to a byte stream.
+ */
+export interface StreamOptions extends ConnectOptions {
+  // Frames bigger than this are an error. Defaults to 16MiB:
+  maxFrameBytes?: number
+}
+
+/**
+ * A Node.js-style duplex stream, such as a socket.
+ */
+export interface StreamLike {
+  on: (name: string, f: (...args: any[]) => void) => unknown
+  removeListener: (name: string, f: (...args: any[]) => void) => unknown
+  write: (chunk: Uint8Array) => unknown
+}
+
+/**
+ * Options used to connect a bridge to a WebSocket.
+ */
+export interface WebSocketOptions extends ConnectOptions {
+  // How often to send heartbeat pings. Defaults to 15 seconds:
+  pingMs?: number
+
+  // How long the socket can stay silent before we give up on it.
+  // Defaults to twice the ping interval:
+  timeoutMs?: number
+}
+
+/**
+ * A browser `WebSocket`, or a WebSocket from the Node.js `ws` package.
+ */
+export interface WebSocketLike {
+  readonly readyState: number
+  binaryType?: string
+  addEventListener: (name: string, f: (event: any) => void) => unknown
+  removeEventListener: (name: string, f: (event: any) => void) => unknown
+  close: () => unknown
+  send: (data: any) => unknown
+}
+
+/**
+ * Anything that delivers `message` events.
+ */
+export interface EventTargetLike {
+  addEventListener: (name: string, f: (event: any) => void) => unknown
+  removeEventListener: (name: string, f: (event: any) => void) => unknown
+}
+
+/**
+ * Options used to connect a bridge to another window.
+ */
+export interface WindowOptions extends ConnectOptions {
+  // The other window's origin, such as 'https://example.com':
+  origin: string
+
+  // Keeps several bridges on the same window apart. Defaults to 'yaob':
+  channel?: string
+
+  // The window to listen on, usually the current window:
+  window: EventTargetLike
+}
+
+/**
+ * Options used to connect a bridge to a React Native app
+ * from inside its WebView.
+ */
+export interface WebViewOptions extends ConnectOptions {
+  channel?: string
+}
+
+/**
+ * A React Native WebView, or anything else that can run
+ * JavaScript inside the page.
+ */
+export interface WebViewLike {
+  injectJavaScript: (code: string) => unknown
+}
+
+/**
+ * A bridge connected to the page inside a React Native WebView.
+ * Pass `onMessage` to the WebView's `onMessage` prop.
+ */
+export interface WebViewHostConnection extends BridgeConnection {
+  readonly onMessage: (event: any) => void
+}
+
+/**
+ * A window, iframe `contentWindow`, or anything else with
+ * the `window.postMessage` signature.
+ */
+export interface WindowLike {
+  postMessage: (
+    message: unknown,
+    targetOrigin: string,
+    transfer?: ArrayBuffer[]
+  ) => unknown
+}
+
+/**
+ * Connects a bridge to a message port or worker,
+ * returning the bridge and a promise for the other side's root object.
+ * Pass a `root` option to send this side's root object.
+ */
+export declare function connectPort(
+  port: MessagePortLike,
+  opts?: ConnectOptions
+): BridgeConnection
+
+/**
+ * Connects a bridge to a Node.js-style duplex byte stream,
+ * such as a socket or a child process's standard I/O,
+ * returning the bridge and a promise for the other side's root object.
+ * Pass a `root` option to send this side's root object.
+ */
+export declare function connectStream(
+  stream: StreamLike,
+  opts?: StreamOptions
+): BridgeConnection
+
+/**
+ * Connects a bridge to a WebSocket,
+ * returning the bridge and a promise for the other side's root object.
+ * Pass a `root` option to send this side's root object.
+ *
+ * Both sides send heartbeat pings, and the bridge closes with a
+ * `TimeoutError` if the other side goes silent for too long.
+ */
+export declare function connectWebSocket(
+  socket: WebSocketLike,
+  opts?: WebSocketOptions
+): BridgeConnection
+
+/**
+ * Connects a bridge to another window, such as an iframe or popup,
+ * returning the bridge and a promise for the other side's root object.
+ * Pass a `root` option to send this side's root object.
+ *
+ * The bridge only accepts messages from the target window,
+ * coming from the given origin on the same channel.
+ */
+export declare function connectWindow(
+  target: WindowLike,
+  opts: WindowOptions
+): BridgeConnection
+
+/**
+ * Connects a bridge from inside a React Native WebView
+ * to the app hosting it, returning the bridge and a promise for the app's root object.
+ * Pass a `root` option to send this side's root object.
+ *
+ * React Native WebViews can only carry strings, so this sends JSON text.
+ */
+export declare function connectWebView(opts?: WebViewOptions): BridgeConnection
+
+/**
+ * Connects a bridge from a React Native app to the page inside a WebView,
+ * where the page calls `connectWebView`.
+ * Pass the returned `onMessage` function to the WebView's `onMessage` prop.
+ */
+export declare function connectWebViewHost(
+  webView: WebViewLike,
+  opts?: WebViewOptions
+): WebViewHostConnection
+
+/**
+ * Wraps each message with its channel name.
+ * The `close` flag tells the other side that a channel has closed.
+ */
+export interface ChannelEnvelope {
+  channel: string
+  close?: true
+  message?: unknown
+}
+
+/**
+ * Options used to create a new multiplexer.
+ */
+export interface MultiplexerOptions {
+  sendMessage: (envelope: any, transfer?: ArrayBuffer[]) => unknown
+
+  // Limits on messages for channels we haven't opened yet:
+  maxPendingChannels?: number // Defaults to 16
+  maxPendingMessages?: number // Per channel, defaults to 100
+}
+
+/**
+ * Shares one transport between several bridges.
+ */
+export declare class BridgeMultiplexer {
+  constructor(opts: MultiplexerOptions)
+  open(channel: string, opts?: ConnectOptions): Bridge
+  handleMessage(envelope: unknown): void
 }
 
 /**
  * Options used to create a new local bridge.
  */
 export interface LocalBridgeOptions {
+  callTimeoutMs?: number
+  classThrottleMs?: { [className: string]: number } | Map<Function, number>
   cloneMessage?: (x: object) => object
+  eventThrottleMs?: number
   hideProperties?: string[]
+  methodTimeoutMs?: { [name: string]: number }
+  patches?: boolean
+  propertyThrottleMs?: { [name: string]: number }
   throttleMs?: number
 }
 
+/**
+ * The two sides of the bridge cannot understand each other,
+ * such as when they use different yaob versions.
+ */
+export declare class IncompatibleError extends Error {
+  constructor(message: string)
+}
+
+/**
+ * Too many messages piled up waiting for a slow transport.
+ */
+export declare class OverflowError extends Error {
+  constructor(message: string)
+}
+
+/**
+ * A proxy method call did not return within its time limit.
+ */
+export declare class TimeoutError extends Error {
+  constructor(message: string)
+}
+
 /**
  * Bridges a single object locally. This is great for unit tests,
  * where you want to verify that your API works correctly over a bridge,
@@ -34,6 +355,15 @@ export interface LocalBridgeOptions {
  */
 export declare function makeLocalBridge<T>(o: T, opts?: LocalBridgeOptions): T
 
+/**
+ * Marks an array buffer, or the buffer behind a view,
+ * as safe to move to the other side of the bridge.
+ * Once the bridge sends it, the buffer becomes unusable on this side.
+ */
+export declare function transfer<T extends ArrayBuffer | ArrayBufferView>(
+  data: T
+): T
+
 /**
  * Undoes the effect of `on` or `watch`.
  */
@@ -75,6 +405,23 @@ export declare function bridgifyClass<Type extends Function>(Class: Type): Type
 export declare function bridgifyObject<Type extends object>(o: Type): Type
 export declare function shareData(table: object, namespace?: string): void
 
+/**
+ * Describes how to send a custom data type over the bridge.
+ */
+export interface CustomType<T> {
+  readonly name: string
+  test: (value: unknown) => boolean
+  pack: (value: T) => unknown
+  unpack: (packed: any) => T
+}
+
+export declare function registerType<T>(type: CustomType<T>): void
+
+export declare function registerErrors(table: {
+  [name: string]: new (...args: any[]) => Error
+}): void
+
 export declare function close(o: object): void
 export declare function emit(o: object, name: string, payload: unknown): void
 export declare function update<T extends object>(o: T, name?: keyof T): void
+export declare function releaseCallback(f: Function): Promise<unknown>
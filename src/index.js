@@ -1,12 +1,39 @@
 // @flow
 
 import type {
+  BridgeConnection,
+  BridgeMiddleware,
   BridgeOptions,
+  ConnectOptions,
+  EventTargetLike,
   LocalBridgeOptions,
-  SendMessage
+  MessagePortLike,
+  SendMessage,
+  StreamLike,
+  StreamOptions,
+  WebSocketLike,
+  WebSocketOptions,
+  WebViewHostConnection,
+  WebViewLike,
+  WebViewOptions,
+  WindowLike,
+  WindowOptions
+} from './bridge.js'
+import {
+  Bridge,
+  connectPort,
+  connectStream,
+  connectWebSocket,
+  connectWebView,
+  connectWebViewHost,
+  connectWindow,
+  makeLocalBridge
 } from './bridge.js'
-import { Bridge, makeLocalBridge } from './bridge.js'
 import { Bridgeable, onMethod, watchMethod } from './bridgeable.js'
+import { releaseCallback } from './callbacks.js'
+import { type BridgeCodec, binaryCodec } from './codec.js'
+import { type CustomType, registerErrors, registerType } from './data.js'
+import { IncompatibleError, OverflowError, TimeoutError } from './errors.js'
 import { bridgifyClass, bridgifyObject, shareData } from './magic.js'
 import {
   type CallbackRemover,
@@ -15,17 +42,69 @@ import {
   emit,
   update
 } from './manage.js'
+import {
+  type ChannelEnvelope,
+  type MultiplexerOptions,
+  BridgeMultiplexer
+} from './multiplexer.js'
+import { transfer } from './transfer.js'
 
 // Shared data:
 export { onMethod, shareData, watchMethod }
 
+// Custom data types:
+export { registerErrors, registerType }
+export type { CustomType }
+
 // Defining bridgeable objects:
 export { Bridgeable, bridgifyClass, bridgifyObject }
 
 // Managing bridgeable objects:
-export { close, emit, update }
+export { close, emit, releaseCallback, transfer, update }
 export type { CallbackRemover, Subscriber }
 
 // Building bridges:
-export { Bridge, makeLocalBridge }
-export type { BridgeOptions, LocalBridgeOptions, SendMessage }
+export {
+  Bridge,
+  IncompatibleError,
+  makeLocalBridge,
+  OverflowError,
+  TimeoutError
+}
+export { binaryCodec }
+export type {
+  BridgeCodec,
+  BridgeMiddleware,
+  BridgeOptions,
+  LocalBridgeOptions,
+  SendMessage
+}
+
+// Sharing transports:
+export { BridgeMultiplexer }
+export type { ChannelEnvelope, MultiplexerOptions }
+
+// Connecting to transports:
+export {
+  connectPort,
+  connectStream,
+  connectWebSocket,
+  connectWebView,
+  connectWebViewHost,
+  connectWindow
+}
+export type {
+  BridgeConnection,
+  ConnectOptions,
+  EventTargetLike,
+  MessagePortLike,
+  StreamLike,
+  StreamOptions,
+  WebSocketLike,
+  WebSocketOptions,
+  WebViewHostConnection,
+  WebViewLike,
+  WebViewOptions,
+  WindowLike,
+  WindowOptions
+}
@@ -0,0 +1,120 @@
+// @flow
+/**
+ * @file
+ * Routines for bridging async iterables as remote streams.
+ * The server wraps the iterator in a bridgeable object,
+ * and the client pulls values from it one method call at a time.
+ */
+
+import { bridgifyObject } from './magic.js'
+import { close } from './manage.js'
+
+// Flow doesn't know about this symbol yet:
+const asyncIterator: any =
+  typeof Symbol === 'function' ? (Symbol: any).asyncIterator : undefined
+
+// Maps iterator wrappers to their cleanup routines:
+const abandoners: WeakMap<Object, () => void> = new WeakMap()
+
+/**
+ * Returns true if the value can be used with `for await`.
+ */
+export function isAsyncIterable(data: Object): boolean {
+  return asyncIterator != null && typeof data[asyncIterator] === 'function'
+}
+
+/**
+ * Wraps an async iterable in a bridgeable object.
+ * The wrapper closes itself once the iterator finishes,
+ * so it won't stick around on the bridge.
+ */
+export function makeIteratorServer(iterable: Object): Object {
+  const iterator = iterable[asyncIterator]()
+  let done = false
+
+  function finish(result: IteratorResult<mixed, mixed>) {
+    if (result.done) {
+      done = true
+      close(out)
+    }
+    return result
+  }
+  function fail(error: mixed) {
+    done = true
+    close(out)
+    throw error
+  }
+
+  const out = bridgifyObject({
+    next(value: mixed): Promise<IteratorResult<mixed, mixed>> {
+      return Promise.resolve(iterator.next(value)).then(finish, fail)
+    },
+
+    return(value: mixed): Promise<IteratorResult<mixed, mixed>> {
+      if (typeof iterator.return !== 'function') {
+        return Promise.resolve(finish({ done: true, value }))
+      }
+      return Promise.resolve(iterator.return(value)).then(finish, fail)
+    },
+
+    throw(error: mixed): Promise<IteratorResult<mixed, mixed>> {
+      if (typeof iterator.throw !== 'function') {
+        return this.return().then(() => fail(error))
+      }
+      return Promise.resolve(iterator.throw(error)).then(finish, fail)
+    }
+  })
+
+  abandoners.set(out, () => {
+    if (done) return
+    out.return().catch(() => {})
+  })
+  return out
+}
+
+/**
+ * Stops an iterator wrapper the client can no longer reach,
+ * so generators get to run their `finally` blocks.
+ * Does nothing for other objects.
+ */
+export function abandonIterator(o: Object): void {
+  const abandon = abandoners.get(o)
+  if (abandon != null) abandon()
+}
+
+/**
+ * Turns a proxy for an iterator wrapper back into an async iterator.
+ */
+export function makeIteratorClient(proxy: Object): Object {
+  let done = false
+
+  function finish(result: IteratorResult<mixed, mixed>) {
+    if (result.done) done = true
+    return result
+  }
+  function fail(error: mixed) {
+    done = true
+    throw error
+  }
+
+  const out = {
+    next(value: mixed): Promise<IteratorResult<mixed, mixed>> {
+      if (done) return Promise.resolve({ done: true, value: undefined })
+      return proxy.next(value).then(finish, fail)
+    },
+
+    return(value: mixed): Promise<IteratorResult<mixed, mixed>> {
+      if (done) return Promise.resolve({ done: true, value })
+      done = true
+      return proxy.return(value)
+    },
+
+    throw(error: mixed): Promise<IteratorResult<mixed, mixed>> {
+      if (done) return Promise.reject(error)
+      done = true
+      return proxy.throw(error)
+    }
+  }
+  out[asyncIterator] = () => out
+  return out
+}
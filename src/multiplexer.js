@@ -0,0 +1,141 @@
+// @flow
+/**
+ * @file
+ * Runs several independent bridges over a single transport.
+ * Each message travels inside an envelope naming its channel.
+ */
+
+import {
+  type Bridge,
+  type ConnectOptions,
+  type SendMessage,
+  makeConnectedBridge
+} from './bridge.js'
+import { OverflowError } from './errors.js'
+
+/**
+ * Wraps each message with its channel name.
+ * The `close` flag tells the other side that a channel has closed.
+ */
+export type ChannelEnvelope = {
+  channel: string,
+  close?: true,
+  message?: mixed
+}
+
+/**
+ * Options used to create a new multiplexer.
+ */
+export type MultiplexerOptions = {
+  sendMessage: SendMessage,
+
+  // Limits on messages for channels we haven't opened yet:
+  maxPendingChannels?: number, // Defaults to 16
+  maxPendingMessages?: number // Per channel, defaults to 100
+}
+
+/**
+ * Shares one transport between several bridges.
+ */
+export class BridgeMultiplexer {
+  +sendMessage: SendMessage
+  +maxPendingChannels: number
+  +maxPendingMessages: number
+  bridges: { [channel: string]: Bridge }
+
+  // Messages for channels we haven't opened yet:
+  pending: { [channel: string]: mixed[] }
+
+  constructor(opts: MultiplexerOptions) {
+    const {
+      sendMessage,
+      maxPendingChannels = 16,
+      maxPendingMessages = 100
+    } = opts
+    this.sendMessage = sendMessage
+    this.maxPendingChannels = maxPendingChannels
+    this.maxPendingMessages = maxPendingMessages
+    this.bridges = {}
+    this.pending = {}
+  }
+
+  /**
+   * Opens a bridge on a channel.
+   * The other side needs to open a channel with the same name.
+   */
+  open(channel: string, opts: ConnectOptions = {}): Bridge {
+    if (this.bridges[channel] != null) {
+      throw new Error(`The '${channel}' channel is already open`)
+    }
+
+    const bridge = makeConnectedBridge(
+      opts,
+      (message, transfer) => {
+        const envelope: ChannelEnvelope = { channel, message }
+        this.sendMessage(envelope, transfer)
+      },
+      () => {
+        // If the bridge is still listed, the close started on this side:
+        if (this.bridges[channel] !== bridge) return
+        delete this.bridges[channel]
+        const envelope: ChannelEnvelope = { channel, close: true }
+        this.sendMessage(envelope)
+      }
+    )
+    this.bridges[channel] = bridge
+
+    // Deliver anything that arrived early:
+    const pending = this.pending[channel]
+    delete this.pending[channel]
+    if (pending != null) {
+      for (const message of pending) bridge.handleMessage(message)
+    }
+
+    return bridge
+  }
+
+  /**
+   * Routes an incoming envelope to its bridge.
+   * Throws an `OverflowError`, dropping the message,
+   * if too many messages are waiting for unopened channels.
+   */
+  handleMessage(envelope: mixed): void {
+    if (
+      envelope == null ||
+      typeof envelope !== 'object' ||
+      typeof envelope.channel !== 'string'
+    ) {
+      throw new TypeError('Expecting a channel envelope')
+    }
+    const { channel, close, message } = envelope
+
+    const bridge = this.bridges[channel]
+    if (close === true) {
+      delete this.pending[channel]
+      if (bridge != null) {
+        delete this.bridges[channel]
+        bridge.close(
+          new Error(`The other side closed the '${channel}' channel`)
+        )
+      }
+    } else if (bridge != null) {
+      bridge.handleMessage(message)
+    } else {
+      let pending = this.pending[channel]
+      if (pending == null) {
+        if (Object.keys(this.pending).length >= this.maxPendingChannels) {
+          throw new OverflowError(
+            `More than ${this.maxPendingChannels} unopened channels have messages waiting`
+          )
+        }
+        pending = this.pending[channel] = []
+      }
+      if (pending.length >= this.maxPendingMessages) {
+        throw new OverflowError(
+          `More than ${this.maxPendingMessages} messages are waiting for the '${channel}' channel`
+        )
+      }
+      pending.push(message)
+    }
+  }
+}
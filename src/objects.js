@@ -6,20 +6,25 @@
  */
 
 import type { BridgeState } from './BridgeState.js'
-import { packData, packThrow, unpackData } from './data.js'
+import { hasAnchors, packData, packThrow, unpackData } from './data.js'
 import {
   type ProxyMagic,
   getInstanceMagic,
   MAGIC_KEY,
   makeProxyMagic
 } from './magic.js'
-import type { CreateMessage, PackedProps } from './protocol.js'
+import { applyPatch, diffValue, packPatch } from './patches.js'
+import type { CreateMessage, PackedProps, PatchOp } from './protocol.js'
 
 export type ValueCache = { [name: string]: mixed }
 
 // No user-supplied value will ever be identical to this.
 export const dirtyValue = {}
 
+// Values we have sent with shared-reference anchors.
+// The other side can't patch these, so they need full updates:
+const anchoredValues: WeakSet<Object> = new WeakSet()
+
 /**
  * Examines a bridgeable object and prepares it for sending of the wire.
  * Returns a creation method an the initial value cache.
@@ -58,6 +63,7 @@ export function packObject(
       } else {
         cache[n] = data
         props[n] = packData(state, data)
+        if (hasAnchors(props[n])) anchoredValues.add(data)
       }
     } catch (e) {
       cache[n] = dirtyValue
@@ -73,21 +79,41 @@ export function packObject(
 /**
  * Checks an object for changes.
  * Updates the cache, and returns an object with the necessary changes.
+ * With the `patches` option, changes to plain arrays and objects
+ * become patches where possible.
  */
 export function diffObject(
   state: BridgeState,
   o: Object,
-  cache: ValueCache
-): { dirty: boolean, props: PackedProps } {
+  cache: ValueCache,
+  include: (name: string) => boolean = () => true
+): {
+  dirty: boolean,
+  patches: { [name: string]: PatchOp[] },
+  props: PackedProps
+} {
   let dirty = false
+  const patches: { [name: string]: PatchOp[] } = {}
   const props: PackedProps = {}
 
   for (const n in cache) {
     try {
       const value = o[n]
-      if (value !== cache[n]) {
-        dirty = true
-        props[n] = packData(state, value)
+      if (value !== cache[n] && include(n)) {
+        // Values marked dirty may have changed in place, so send them whole:
+        const prev: any = cache[n]
+        const patch =
+          state.patches && prev !== dirtyValue && !anchoredValues.has(prev)
+            ? diffValue(prev, value)
+            : undefined
+        if (patch == null) {
+          dirty = true
+          props[n] = packData(state, value)
+          if (hasAnchors(props[n])) anchoredValues.add((value: any))
+        } else if (patch.length > 0) {
+          dirty = true
+          patches[n] = packPatch(state, patch)
+        }
         cache[n] = value
       }
     } catch (e) {
@@ -96,7 +122,7 @@ export function diffObject(
     }
   }
 
-  return { dirty, props }
+  return { dirty, patches, props }
 }
 
 /**
@@ -134,7 +160,8 @@ export function makeProxy(state: BridgeState, create: CreateMessage): Object {
 export function updateObjectProps(
   state: BridgeState,
   o: Object,
-  props: PackedProps
+  props: PackedProps,
+  patches: { [name: string]: PatchOp[] } = {}
 ): mixed {
   const magic: ProxyMagic = o[MAGIC_KEY]
 
@@ -147,6 +174,17 @@ export function updateObjectProps(
       magic.errors[n] = true
     }
   }
+
+  for (const n in patches) {
+    // We can't patch a value we never managed to unpack:
+    if (magic.errors[n]) continue
+    try {
+      magic.props[n] = applyPatch(state, magic.props[n], patches[n], n)
+    } catch (e) {
+      magic.props[n] = e
+      magic.errors[n] = true
+    }
+  }
 }
 
 function makeProxyGetter(magic: ProxyMagic, name: string) {
@@ -0,0 +1,295 @@
+// @flow
+/**
+ * @file
+ * Routines for sending property changes as structural patches,
+ * so small edits to large values don't resend the whole thing.
+ */
+
+import {
+  type DataMap,
+  type ObjectTable,
+  type PackedData,
+  findCustomType,
+  hasAnchors,
+  hasSharedReferences,
+  packData,
+  unpackData
+} from './data.js'
+import { isAsyncIterable } from './iterators.js'
+import { MAGIC_KEY } from './magic.js'
+import type { PatchOp, PatchPath } from './protocol.js'
+
+const objectPrototype = Object.getPrototypeOf({})
+
+/**
+ * A patch operation before its value has been packed.
+ */
+type RawPatchOp = {
+  op: 'append' | 'delete' | 'set',
+  path: PatchPath,
+  value?: mixed
+}
+
+/**
+ * Compares two property values, returning a list of changes.
+ * Returns undefined if it would be better to send the whole value.
+ * Nested values are compared by identity, so they must be immutable.
+ */
+export function diffValue(prev: mixed, next: mixed): RawPatchOp[] | void {
+  const ops: RawPatchOp[] = []
+  if (!isSameContainer(prev, next)) return
+
+  // Patches can't describe shared references:
+  if (hasSharedReferences(prev) || hasSharedReferences(next)) return
+  if (!diffContainer((prev: any), (next: any), [], ops)) return
+  return ops
+}
+
+/**
+ * Prepares a list of changes for sending over the wire.
+ */
+export function packPatch(table: ObjectTable, ops: RawPatchOp[]): PatchOp[] {
+  return ops.map(({ op, path, value }) =>
+    op === 'delete' ? { op, path } : { op, path, value: packData(table, value) }
+  )
+}
+
+/**
+ * Applies a patch to a property value.
+ * Returns a new value, but shares any subtrees the patch doesn't touch.
+ */
+export function applyPatch(
+  table: ObjectTable,
+  value: mixed,
+  patch: PatchOp[],
+  path: string
+): mixed {
+  const copies: Set<Object> = new Set()
+  for (const op of patch) value = applyOp(table, value, op, 0, path, copies)
+  return value
+}
+
+/**
+ * Applies a patch to a packed property value,
+ * without unpacking anything.
+ * Throws if the value or the patch contains shared references.
+ */
+export function patchPackedData(
+  data: PackedData,
+  patch: PatchOp[]
+): PackedData {
+  if (
+    hasAnchors(data) ||
+    patch.some(op => op.value != null && hasAnchors(op.value))
+  ) {
+    throw new TypeError('Cannot patch a value with shared references')
+  }
+
+  const copies: Set<Object> = new Set()
+  let map: DataMap = data.map != null ? data.map : ''
+  let raw: any = data.raw
+  for (const op of patch) {
+    const out = patchPackedItem(map, raw, op, 0, copies)
+    map = out.map
+    raw = out.raw
+  }
+  return map !== '' ? { map, raw } : { raw }
+}
+
+/**
+ * Returns true if both values are plain arrays or plain objects,
+ * which are the only things we look inside.
+ */
+function isSameContainer(a: mixed, b: mixed): boolean {
+  return (
+    isContainer(a) && isContainer(b) && Array.isArray(a) === Array.isArray(b)
+  )
+}
+
+function isContainer(x: any): boolean {
+  if (typeof x !== 'object' || x === null) return false
+  if (Array.isArray(x)) return true
+  const proto = Object.getPrototypeOf(x)
+  return (
+    (proto === objectPrototype || proto === null) &&
+    x[MAGIC_KEY] == null &&
+    !isAsyncIterable(x) &&
+    findCustomType(x) == null
+  )
+}
+
+/**
+ * Adds the differences between two containers to the list.
+ * Returns false if the container should be replaced instead,
+ * such as when most of its contents have changed.
+ */
+function diffContainer(
+  prev: Object,
+  next: Object,
+  path: PatchPath,
+  ops: RawPatchOp[]
+): boolean {
+  const start = ops.length
+  let changes = 0
+  let size = 0
+
+  if (Array.isArray(prev)) {
+    if (next.length < prev.length) return false
+    size = next.length
+    for (let i = 0; i < prev.length; ++i) {
+      if (diffItem(prev[i], next[i], path, i, ops)) ++changes
+    }
+    if (next.length > prev.length) {
+      ops.push({ op: 'append', path, value: next.slice(prev.length) })
+      ++changes
+    }
+  } else {
+    for (const n in prev) {
+      if (!(n in next)) {
+        ops.push({ op: 'delete', path: [...path, n] })
+        ++changes
+      }
+    }
+    for (const n in next) {
+      ++size
+      if (!(n in prev)) {
+        ops.push({ op: 'set', path: [...path, n], value: next[n] })
+        ++changes
+      } else if (diffItem(prev[n], next[n], path, n, ops)) {
+        ++changes
+      }
+    }
+  }
+
+  if (changes * 2 > size) {
+    ops.length = start
+    return false
+  }
+  return true
+}
+
+/**
+ * Adds the differences between two container entries to the list.
+ * Returns true if anything changed.
+ */
+function diffItem(
+  prev: mixed,
+  next: mixed,
+  path: PatchPath,
+  key: number | string,
+  ops: RawPatchOp[]
+): boolean {
+  if (prev === next) return false
+
+  const start = ops.length
+  const itemPath = [...path, key]
+  if (
+    isSameContainer(prev, next) &&
+    diffContainer((prev: any), (next: any), itemPath, ops)
+  ) {
+    return ops.length > start
+  }
+  ops.push({ op: 'set', path: itemPath, value: next })
+  return true
+}
+
+/**
+ * Applies a single patch operation to an unpacked value,
+ * copying each container along the path the first time we touch it.
+ */
+function applyOp(
+  table: ObjectTable,
+  value: any,
+  op: PatchOp,
+  i: number,
+  path: string,
+  copies: Set<Object>
+): mixed {
+  if (typeof value !== 'object' || value === null) {
+    throw new TypeError(`Expecting an array or object at ${path}`)
+  }
+  let out = value
+  if (!copies.has(out)) {
+    out = Array.isArray(value) ? value.slice() : { ...value }
+    copies.add(out)
+  }
+
+  // Appends happen at the end of the path:
+  if (i === op.path.length) {
+    if (op.op !== 'append' || op.value == null || !Array.isArray(out)) {
+      throw new TypeError(`Cannot ${op.op} at ${path}`)
+    }
+    const items = unpackData(table, op.value, path)
+    for (let j = 0; j < items.length; ++j) out.push(items[j])
+    return out
+  }
+
+  const key = op.path[i]
+  const itemPath =
+    typeof key === 'number' ? `${path}[${key}]` : `${path}.${key}`
+  if (op.op === 'append' || i + 1 < op.path.length) {
+    out[key] = applyOp(table, out[key], op, i + 1, itemPath, copies)
+  } else if (op.op === 'delete') {
+    delete out[key]
+  } else {
+    out[key] =
+      op.value != null ? unpackData(table, op.value, itemPath) : undefined
+  }
+  return out
+}
+
+/**
+ * Applies a single patch operation to a packed value,
+ * keeping the data map in step with the raw value.
+ */
+function patchPackedItem(
+  map: DataMap,
+  raw: any,
+  op: PatchOp,
+  i: number,
+  copies: Set<Object>
+): { map: DataMap, raw: any } {
+  let outRaw = raw
+  if (!copies.has(outRaw)) {
+    outRaw = Array.isArray(raw) ? raw.slice() : { ...raw }
+    copies.add(outRaw)
+  }
+
+  // Array maps need an entry for every item:
+  let outMap: any = map
+  if (typeof map !== 'object') {
+    outMap = Array.isArray(raw) ? raw.map(() => '') : {}
+    copies.add(outMap)
+  } else if (!copies.has(outMap)) {
+    outMap = Array.isArray(map) ? map.slice() : { ...map }
+    copies.add(outMap)
+  }
+
+  // Appends happen at the end of the path:
+  if (i === op.path.length) {
+    const { value = { raw: [] } } = op
+    const itemMap: any = value.map != null ? value.map : ''
+    const items: any = value.raw
+    for (let j = 0; j < items.length; ++j) {
+      outRaw.push(items[j])
+      outMap.push(itemMap === '' ? '' : itemMap[j])
+    }
+    return { map: outMap, raw: outRaw }
+  }
+
+  const key = op.path[i]
+  if (op.op === 'append' || i + 1 < op.path.length) {
+    const itemMap = outMap[key] != null ? outMap[key] : ''
+    const item = patchPackedItem(itemMap, outRaw[key], op, i + 1, copies)
+    outMap[key] = item.map
+    outRaw[key] = item.raw
+  } else if (op.op === 'delete') {
+    delete outMap[key]
+    delete outRaw[key]
+  } else {
+    const { value = { raw: null, map: 'u' } } = op
+    outRaw[key] = value.raw
+    outMap[key] = value.map != null ? value.map : ''
+  }
+  return { map: outMap, raw: outRaw }
+}
@@ -2,6 +2,37 @@
 
 import { type PackedData } from './data.js'
 
+/**
+ * Bridges can only talk to each other if these match.
+ */
+export const protocolVersion = 1
+
+/**
+ * Optional protocol features this side of the bridge understands.
+ */
+export const protocolFeatures: string[] = [
+  'abort',
+  'callbacks',
+  'chunks',
+  'iterators',
+  'patches',
+  'release',
+  'resume',
+  'services'
+]
+
+/**
+ * Features the other side must understand,
+ * since this side may use them without asking.
+ * The bridge works around any other missing features.
+ */
+export const requiredFeatures: string[] = [
+  'callbacks',
+  'iterators',
+  'patches',
+  'release'
+]
+
 /**
  * A PackedData instance that handles object properties.
  */
@@ -13,15 +44,46 @@ export type PackedProps = { [name: string]: PackedData }
 export type CallMessage = {
   callId: number,
   remoteId: number,
-  name: string
+  name: string,
+
+  // The position of the abort signal in the parameter array, if any:
+  signal?: number
 } & PackedData // Parameter array
 
+/**
+ * Oversized messages travel as a series of these,
+ * each holding a piece of the serialized message.
+ */
+export type ChunkMessage = {
+  id: number,
+  data: string | Uint8Array,
+  final?: true
+}
+
+/**
+ * A list of property names and array indices leading into a value.
+ */
+export type PatchPath = Array<number | string>
+
+/**
+ * A single change to a nested property value.
+ * Appends add the value's items to the array at the path,
+ * while sets and deletes change the item at the path.
+ */
+export type PatchOp = {
+  op: 'append' | 'delete' | 'set',
+  path: PatchPath,
+  value?: PackedData
+}
+
 /**
  * The server sends this when the values on a proxy object change.
+ * Large values can be patched in place, rather than being sent in full.
  */
 export type ChangeMessage = {
   localId: number,
-  props: PackedProps
+  props: PackedProps,
+  patches?: { [name: string]: PatchOp[] }
 }
 
 /**
@@ -41,6 +103,34 @@ export type EventMessage = {
   name: string
 } & PackedData // Parameter array
 
+/**
+ * The payload of a `service` event, which publishes an object by name.
+ * An undefined object withdraws the service.
+ */
+export type ServiceEvent = {
+  name: string,
+  object: mixed
+}
+
+/**
+ * Each side sends this when the bridge starts,
+ * so the other side can check that they are compatible.
+ */
+export type HelloMessage = {
+  version: number,
+  features: string[]
+}
+
+/**
+ * The client sends this when it no longer needs a proxy object.
+ * The count is the number of times the client has received the object
+ * since its last release, so the server can tell if more are in flight.
+ */
+export type ReleaseMessage = {
+  localId: number,
+  count: number
+}
+
 /**
  * The server sends this when a proxy method call has returned or thrown.
  */
@@ -53,10 +143,22 @@ export type ReturnMessage = {
  * It can include the various event types described above.
  */
 export type Message = {
+  // Sequence numbers for resumable bridges.
+  // The ack is the last sequence number received from the other side:
+  ack?: number,
+  seq?: number,
+
+  // One piece of an oversized message:
+  chunk?: ChunkMessage,
+
   calls?: CallMessage[],
+  cancels?: number[],
   changed?: ChangeMessage[],
   closed?: number[],
   created?: CreateMessage[],
   events?: EventMessage[],
+  forgotten?: number[],
+  hello?: HelloMessage,
+  released?: ReleaseMessage[],
   returns?: ReturnMessage[]
 }
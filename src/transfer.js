@@ -0,0 +1,28 @@
+// @flow
+/**
+ * @file
+ * Routines for moving array buffers across the bridge without copying,
+ * when the transport uses `postMessage`.
+ */
+
+const transferable: WeakSet<ArrayBuffer> = new WeakSet()
+
+/**
+ * Marks an array buffer, or the buffer behind a view,
+ * as safe to move to the other side of the bridge.
+ * Once the bridge sends it, the buffer becomes unusable on this side.
+ */
+export function transfer<T: ArrayBuffer | $ArrayBufferView>(data: T): T {
+  transferable.add(data instanceof ArrayBuffer ? data : data.buffer)
+  return data
+}
+
+/**
+ * Finds the buffer to transfer for a value, if the user has marked one.
+ */
+export function getTransfer(
+  data: ArrayBuffer | $ArrayBufferView
+): ArrayBuffer | void {
+  const buffer = data instanceof ArrayBuffer ? data : data.buffer
+  if (transferable.has(buffer)) return buffer
+}
@@ -6,16 +6,38 @@ import { describe, it } from 'mocha'
 
 import type { Subscriber } from '../src/index.js'
 import {
+  binaryCodec,
+  Bridge,
   Bridgeable,
+  BridgeMultiplexer,
   bridgifyClass,
   bridgifyObject,
+  connectPort,
+  connectStream,
+  connectWebSocket,
+  connectWebView,
+  connectWebViewHost,
+  connectWindow,
   emit,
+  IncompatibleError,
   makeLocalBridge,
-  onMethod
+  onMethod,
+  OverflowError,
+  releaseCallback,
+  TimeoutError,
+  transfer,
+  update
 } from '../src/index.js'
 import { expectRejection } from './utils/expect-rejection.js'
 import { makeLoggedBridge } from './utils/logged-bridge.js'
 
+// Flow doesn't know about these yet:
+declare var AbortController: any
+declare var MessageChannel: any
+declare var global: any
+declare var structuredClone: any
+declare var TextEncoder: any
+
 describe('bridging', function () {
   it('maintains object identity', async function () {
     const log = makeAssertLog()
@@ -193,4 +215,1529 @@ describe('bridging', function () {
     expect(Object.keys(local)).deep.equals(['a'])
     expect(JSON.stringify(local)).equals('{"a":1}')
   })
+
+  it('times out slow calls', async function () {
+    const log = makeAssertLog()
+    class SlowApi extends Bridgeable<> {
+      async slow(ms: number): Promise<string> {
+        await new Promise(resolve => setTimeout(resolve, ms))
+        log('done', ms)
+        return 'slow'
+      }
+
+      async patient(ms: number): Promise<string> {
+        return this.slow(ms)
+      }
+    }
+
+    const local = makeLocalBridge(new SlowApi(), {
+      callTimeoutMs: 20,
+      methodTimeoutMs: { patient: 0 }
+    })
+
+    // Fast enough:
+    expect(await local.slow(1)).equals('slow')
+    log.assert('done 1')
+
+    // Too slow, so the late return needs to be dropped quietly:
+    const error = await local.slow(40).catch(e => e)
+    expect(error).instanceof(TimeoutError)
+    expect(String(error)).equals(
+      "TimeoutError: Call to 'slow' timed out after 20ms"
+    )
+    await log.waitFor(1).assert('done 40')
+
+    // The override disables the timeout:
+    expect(await local.patient(40)).equals('slow')
+    log.assert('done 40')
+  })
+
+  it('forgets calls that never return', async function () {
+    const log = makeAssertLog()
+    const holds: Function[] = []
+    class StuckApi extends Bridgeable<> {
+      stuck(): Promise<string> {
+        return new Promise(resolve => holds.push(resolve))
+      }
+
+      fast(): string {
+        return 'fast'
+      }
+    }
+
+    const client = new Bridge({
+      callTimeoutMs: 1,
+      methodTimeoutMs: { fast: 0 },
+      sendMessage: message => server.handleMessage(message)
+    })
+    const server = new Bridge({
+      sendMessage: message => client.handleMessage(message)
+    })
+    server.sendRoot(new StuckApi())
+    client.on('close', error => log(String(error)))
+    const local = await client.getRoot()
+
+    // Only the most recent expired calls stick around:
+    const calls = []
+    for (let i = 0; i < 150; ++i) calls.push(local.stuck().catch(() => {}))
+    await Promise.all(calls)
+    const clientState = (client: any)._state
+    expect(Object.keys(clientState.expiredCalls)).has.length(100)
+
+    // Late returns are still dropped quietly:
+    for (const resolve of holds) resolve('late')
+    await new Promise(resolve => setTimeout(resolve, 10))
+    expect(Object.keys(clientState.expiredCalls)).has.length(0)
+    expect(await local.fast()).equals('fast')
+    log.assert()
+  })
+
+  it('cancels calls', async function () {
+    const log = makeAssertLog()
+    class SyncApi extends Bridgeable<> {
+      sync(first: number, signal: AbortSignal): Promise<string> {
+        return new Promise(resolve => {
+          signal.addEventListener('abort', () => {
+            log('aborted', first)
+            resolve('too late')
+          })
+        })
+      }
+    }
+
+    const local = await makeLoggedBridge(log, new SyncApi())
+    log.assert('server +1 e1')
+
+    // Aborting a running call rejects and tells the server:
+    const controller = new AbortController()
+    const promise = local.sync(1, controller.signal)
+    await log.waitFor(1).assert('client c1')
+    controller.abort(new Error('Navigated away'))
+    await expectRejection(promise, 'Error: Navigated away')
+    await log.waitFor(3).assert('client x1', 'aborted 1', 'server r1')
+
+    // Aborted signals never make it over the bridge:
+    await expectRejection(
+      local.sync(2, controller.signal),
+      'Error: Navigated away'
+    )
+    log.assert()
+  })
+
+  it('bridges async iterables', async function () {
+    const log = makeAssertLog()
+    class HistoryApi extends Bridgeable<> {
+      async *pages(count: number): AsyncGenerator<number[], void, void> {
+        try {
+          for (let i = 0; i < count; ++i) {
+            log('yield', i)
+            yield [i, i + 1]
+          }
+        } finally {
+          log('finally')
+        }
+      }
+    }
+
+    const local = await makeLoggedBridge(log, new HistoryApi())
+    log.assert('server +1 e1')
+
+    // Values arrive one pull at a time:
+    const pages = []
+    for await (const page of await local.pages(2)) pages.push(page)
+    expect(pages).deep.equals([
+      [0, 1],
+      [1, 2]
+    ])
+    log.assert(
+      'client c1',
+      'server +1 r1',
+      'client c1',
+      'yield 0',
+      'server r1',
+      'client c1',
+      'yield 1',
+      'server r1',
+      'client c1',
+      'finally',
+      'server -1 r1'
+    )
+
+    // Breaking out early runs the `finally` block on the server:
+    const firstPages = []
+    for await (const page of await local.pages(10)) {
+      firstPages.push(page)
+      if (firstPages.length >= 1) break
+    }
+    expect(firstPages).deep.equals([[0, 1]])
+    log.assert(
+      'client c1',
+      'server +1 r1',
+      'client c1',
+      'yield 0',
+      'server r1',
+      'client c1',
+      'finally',
+      'server -1 r1'
+    )
+  })
+
+  it('bridges callback functions', async function () {
+    const log = makeAssertLog()
+    class TickerApi extends Bridgeable<> {
+      _onTick: Function | void
+
+      subscribe(onTick: Function): void {
+        this._onTick = onTick
+      }
+
+      tick(tick: number): Promise<mixed> {
+        if (this._onTick == null) return Promise.resolve()
+        return this._onTick(tick)
+      }
+
+      echo(f: Function): Function {
+        return f
+      }
+    }
+
+    const remote = new TickerApi()
+    const local = await makeLoggedBridge(log, remote)
+    log.assert('server +1 e1')
+
+    // The server can call the function:
+    const onTick = (tick: number): number => {
+      log('tick', tick)
+      return tick * 2
+    }
+    await local.subscribe(onTick)
+    log.assert('client +1 c1', 'server r1')
+    expect(await remote.tick(1)).equals(2)
+    log.assert('server c1', 'tick 1', 'client r1')
+
+    // Functions come back as themselves:
+    expect(await local.echo(onTick)).equals(onTick)
+    log.assert('client c1', 'server r1')
+
+    // Releasing the function makes it unusable:
+    const stub: any = remote._onTick
+    await releaseCallback(stub)
+    log.assert('server c1', 'client -1 r1')
+    await expectRejection(
+      remote.tick(2),
+      "TypeError: Cannot call method 'call' of closed proxy"
+    )
+  })
+
+  it('closes callback functions with the bridge', async function () {
+    const log = makeAssertLog({ timeout: 10 })
+    class TickerApi extends Bridgeable<> {
+      _onTick: Function | void
+
+      subscribe(onTick: Function): void {
+        this._onTick = onTick
+      }
+    }
+
+    const remote = new TickerApi()
+    const client = new Bridge({
+      sendMessage(message) {
+        server.handleMessage(message)
+      }
+    })
+    const server = new Bridge({
+      sendMessage(message) {
+        client.handleMessage(message)
+      }
+    })
+    server.sendRoot(remote)
+    const local = await client.getRoot()
+    await local.subscribe(() => log('tick'))
+
+    // The client forgets its side of the function:
+    const clientState = (client: any)._state
+    expect(Object.keys(clientState.objects)).has.length(1)
+    client.close(new Error('The bridge went away'))
+    expect(Object.keys(clientState.objects)).has.length(0)
+
+    // The server side can no longer call it:
+    server.close(new Error('The bridge went away'))
+    const onTick: any = remote._onTick
+    await expectRejection(
+      onTick(),
+      "TypeError: Cannot call method 'call' of closed proxy"
+    )
+    log.assert()
+  })
+
+  it('checks protocol versions', async function () {
+    const log = makeAssertLog()
+    const bridge = new Bridge({
+      sendMessage(message) {
+        log(Object.keys(message.hello).join(','))
+      }
+    })
+    await log.waitFor(1).assert('version,features')
+
+    const promise = bridge.getRoot()
+    bridge.handleMessage({ hello: { version: 999, features: [] } })
+    const error = await promise.catch(e => e)
+    expect(error).instanceof(IncompatibleError)
+    expect(String(error)).equals(
+      'IncompatibleError: The other side of the bridge uses protocol version 999, but this side uses version 1'
+    )
+  })
+
+  it('requires a handshake', async function () {
+    const log = makeAssertLog()
+    const bridge = new Bridge({ sendMessage() {} })
+    bridge.on('close', error => log(String(error)))
+    const promise = bridge.getRoot()
+    bridge.handleMessage({ events: [{ localId: 0, name: 'root', raw: 1 }] })
+    await expectRejection(
+      promise,
+      'IncompatibleError: The other side of the bridge did not send a handshake'
+    )
+    log.assert(
+      'IncompatibleError: The other side of the bridge did not send a handshake'
+    )
+  })
+
+  it('checks protocol features', async function () {
+    const log = makeAssertLog()
+    const bridge = new Bridge({ resumable: true, sendMessage() {} })
+    bridge.on('close', error => log(String(error)))
+    const promise = bridge.getRoot()
+    bridge.handleMessage({ hello: { version: 1, features: ['callbacks'] } })
+    await expectRejection(
+      promise,
+      'IncompatibleError: The other side of the bridge does not support iterators, patches, release, resume'
+    )
+    log.assert(
+      'IncompatibleError: The other side of the bridge does not support iterators, patches, release, resume'
+    )
+  })
+
+  it('skips cancels if the other side lacks them', async function () {
+    const log = makeAssertLog()
+    class SlowApi extends Bridgeable<> {
+      slow(): Promise<void> {
+        return new Promise(resolve => {})
+      }
+    }
+
+    // The server pretends not to support cancelling:
+    const client = new Bridge({
+      callTimeoutMs: 10,
+      sendMessage(message) {
+        if (message.cancels != null) log('cancel')
+        server.handleMessage(message)
+      }
+    })
+    const server = new Bridge({
+      middleware: [
+        {
+          outgoing(message) {
+            if (message.hello == null) return message
+            const features = message.hello.features.filter(
+              feature => feature !== 'abort'
+            )
+            return { ...message, hello: { ...message.hello, features } }
+          }
+        }
+      ],
+      sendMessage: message => client.handleMessage(message)
+    })
+    server.sendRoot(new SlowApi())
+
+    const root = await client.getRoot()
+    await expectRejection(
+      root.slow(),
+      "TimeoutError: Call to 'slow' timed out after 10ms"
+    )
+    await new Promise(resolve => setTimeout(resolve, 10))
+    log.assert()
+  })
+
+  it('resumes after reconnecting', async function () {
+    const log = makeAssertLog()
+    class CounterApi extends Bridgeable<{ count: number }> {
+      count: number
+
+      constructor() {
+        super()
+        this.count = 0
+      }
+
+      increment(): number {
+        ++this.count
+        update(this)
+        return this.count
+      }
+    }
+
+    // A transport we can break in various ways:
+    let link: 'up' | 'down' | 'lossy' = 'up'
+    function makeLink(getBridge: () => Bridge) {
+      return (message: Object) => {
+        if (link === 'down') throw new Error('The link is down')
+        if (link === 'lossy') return
+        getBridge().handleMessage(JSON.parse(JSON.stringify(message)))
+      }
+    }
+    const client = new Bridge({
+      resumable: true,
+      sendMessage: makeLink(() => server)
+    })
+    const server = new Bridge({
+      resumable: true,
+      sendMessage: makeLink(() => client)
+    })
+
+    const remote = new CounterApi()
+    server.sendRoot(remote)
+    const local = await client.getRoot()
+    local.watch('count', count => log('count', count))
+
+    // Calls made while the link is down wait for it to come back:
+    link = 'down'
+    const promise = local.increment()
+    remote.increment()
+    await new Promise(resolve => setTimeout(resolve, 10))
+    expect(local.count).equals(0)
+
+    link = 'up'
+    client.resume(makeLink(() => server))
+    server.resume(makeLink(() => client))
+    expect(await promise).equals(2)
+    log.assert('count 1', 'count 2')
+
+    // Messages lost in transit get sent again:
+    link = 'lossy'
+    const lostPromise = local.increment()
+    await new Promise(resolve => setTimeout(resolve, 10))
+    expect(remote.count).equals(2)
+
+    link = 'up'
+    server.resume(makeLink(() => client))
+    client.resume(makeLink(() => server))
+    expect(await lostPromise).equals(3)
+    expect(remote.count).equals(3)
+    log.assert('count 3')
+  })
+
+  it('requires the resumable option', function () {
+    const bridge = new Bridge({ sendMessage() {} })
+    expect(() => bridge.resume(() => {})).throws(
+      TypeError,
+      'Only bridges created as `resumable` can resume'
+    )
+  })
+
+  it('transfers buffers with structured cloning', async function () {
+    const log = makeAssertLog()
+    const date = new Date(1500000000000)
+    const bytes = new Uint8Array([1, 2, 3])
+    class ImageApi extends Bridgeable<ImageApi> {
+      get date(): Date {
+        return date
+      }
+
+      getPixels(): Uint8Array {
+        return transfer(bytes)
+      }
+    }
+
+    function makeLink(getBridge: () => Bridge) {
+      return (message: Object, transferList?: ArrayBuffer[] = []) => {
+        log('transfer', transferList.length)
+        const copy = structuredClone(message, { transfer: transferList })
+        getBridge().handleMessage(copy)
+      }
+    }
+    const client = new Bridge({
+      structuredClone: true,
+      sendMessage: makeLink(() => server)
+    })
+    const server = new Bridge({
+      structuredClone: true,
+      sendMessage: makeLink(() => client)
+    })
+
+    server.sendRoot(new ImageApi())
+    const local = await client.getRoot()
+    log.assert('transfer 0', 'transfer 0')
+    expect(local.date).instanceOf(Date)
+    expect(local.date.valueOf()).equals(date.valueOf())
+
+    // The buffer moves to the client:
+    const pixels = await local.getPixels()
+    log.assert('transfer 0', 'transfer 1')
+    expect(Array.from(pixels)).deep.equals([1, 2, 3])
+    expect(bytes.byteLength).equals(0)
+  })
+
+  it('transfers buffers with throttled events', async function () {
+    const log = makeAssertLog()
+    class ImageApi extends Bridgeable<ImageApi> {
+      ping(): string {
+        return 'pong'
+      }
+    }
+
+    function makeLink(getBridge: () => Bridge) {
+      return (message: Object, transferList?: ArrayBuffer[] = []) => {
+        log('transfer', transferList.length)
+        const copy = structuredClone(message, { transfer: transferList })
+        getBridge().handleMessage(copy)
+      }
+    }
+    const client = new Bridge({
+      structuredClone: true,
+      sendMessage: makeLink(() => server)
+    })
+    const server = new Bridge({
+      eventThrottleMs: 50,
+      structuredClone: true,
+      sendMessage: makeLink(() => client)
+    })
+
+    const remote = new ImageApi()
+    server.sendRoot(remote)
+    const local = await client.getRoot()
+    log.assert('transfer 0', 'transfer 0')
+    local.on('pixels', pixels => log('pixels', Array.from(pixels).join(' ')))
+
+    // The return goes out first, without the event's buffer:
+    emit(remote, 'pixels', transfer(new Uint8Array([1, 2, 3])))
+    expect(await local.ping()).equals('pong')
+    log.assert('transfer 0', 'transfer 0')
+
+    // The buffer moves with its event:
+    await log.waitFor(2).assert('transfer 1', 'pixels 1 2 3')
+  })
+
+  it('rejects codecs with structured cloning', function () {
+    expect(
+      () =>
+        new Bridge({
+          codec: binaryCodec,
+          sendMessage() {},
+          structuredClone: true
+        })
+    ).throws(TypeError, 'The `codec` and `structuredClone` options conflict')
+  })
+
+  it('connects over message ports', async function () {
+    class WorkerApi extends Bridgeable<WorkerApi> {
+      double(x: number): number {
+        return x * 2
+      }
+    }
+
+    const { port1, port2 } = new MessageChannel()
+    connectPort(port1, { root: new WorkerApi() })
+    const local = await connectPort(port2).root
+    expect(await local.double(2)).equals(4)
+
+    // Closing the port closes the bridge:
+    const call = local.double(3)
+    port1.close()
+    await expectRejection(call, 'Error: The message port closed')
+  })
+
+  it('detaches from browser-style ports', async function () {
+    const log = makeAssertLog()
+
+    // A fake port that just counts listeners:
+    const listeners: { [name: string]: Function[] } = {}
+    const port = {
+      addEventListener(name: string, f: Function) {
+        listeners[name] = [...(listeners[name] || []), f]
+      },
+      removeEventListener(name: string, f: Function) {
+        listeners[name] = listeners[name].filter(g => g !== f)
+      },
+      postMessage() {},
+      start() {
+        log('start')
+      }
+    }
+
+    const { root } = connectPort(port, {
+      onClose: error => log('close', String(error)),
+      onError: error => log('error', String(error))
+    })
+    log.assert('start')
+    expect(listeners.message.length).equals(1)
+
+    // Deserialization problems go to the error callback:
+    listeners.messageerror[0]({})
+    log.assert('error TypeError: Could not deserialize an incoming message')
+
+    // Send a bad handshake, which closes the bridge:
+    listeners.message[0]({ data: { hello: { version: 99, features: [] } } })
+    await expectRejection(root)
+    log.assert(
+      'close IncompatibleError: The other side of the bridge uses protocol version 99, but this side uses version 1'
+    )
+    expect(listeners.message.length).equals(0)
+    expect(listeners.messageerror.length).equals(0)
+  })
+
+  it('detaches when the bridge closes', async function () {
+    const log = makeAssertLog()
+    const listeners: { [name: string]: Function[] } = {}
+    const port = {
+      addEventListener(name: string, f: Function) {
+        listeners[name] = [...(listeners[name] || []), f]
+      },
+      removeEventListener(name: string, f: Function) {
+        listeners[name] = listeners[name].filter(g => g !== f)
+      },
+      postMessage() {}
+    }
+    const [a] = makeStreamPair()
+
+    const connections = [
+      connectPort(port, { onClose: error => log('port', String(error)) }),
+      connectStream(a, { onClose: error => log('stream', String(error)) })
+    ]
+    expect(listeners.message.length).equals(1)
+    expect(a.listenerCount()).equals(4)
+
+    for (const { bridge, root } of connections) {
+      bridge.close(new Error('Done'))
+      await expectRejection(root, 'Error: Done')
+    }
+    log.assert('port Error: Done', 'stream Error: Done')
+    expect(listeners.message.length).equals(0)
+    expect(listeners.messageerror.length).equals(0)
+
+    // Later stream errors don't crash the process:
+    expect(a.listenerCount()).equals(1)
+    a.emit('error', new Error('Broken pipe'))
+    log.assert()
+  })
+
+  it('connects over streams', async function () {
+    class ServerApi extends Bridgeable<ServerApi> {
+      echo(x: mixed): mixed {
+        return x
+      }
+    }
+
+    const [a, b] = makeStreamPair()
+    connectStream(a, { root: new ServerApi() })
+    const local = await connectStream(b).root
+
+    const text = 'The quick brown fox 🦊 '.repeat(50)
+    expect(await local.echo(text)).equals(text)
+
+    // Ending the stream closes the bridge:
+    const call = local.echo(1)
+    b.emit('end')
+    await expectRejection(call, 'Error: The stream ended')
+    expect(b.listenerCount()).equals(1)
+  })
+
+  it('connects over streams with text codecs', async function () {
+    class ServerApi extends Bridgeable<ServerApi> {
+      echo(x: mixed): mixed {
+        return x
+      }
+    }
+
+    const textCodec = {
+      encode: (message: Object) => JSON.stringify(message),
+      decode: (text: mixed) => JSON.parse(String(text))
+    }
+    const [a, b] = makeStreamPair()
+    connectStream(a, { codec: textCodec, root: new ServerApi() })
+    const local = await connectStream(b, { codec: textCodec }).root
+
+    const text = 'The quick brown fox 🦊 '.repeat(50)
+    expect(await local.echo(text)).equals(text)
+  })
+
+  it('limits stream frame sizes', async function () {
+    const log = makeAssertLog()
+    const [a] = makeStreamPair()
+    const { root } = connectStream(a, {
+      maxFrameBytes: 100,
+      onClose: error => log(String(error))
+    })
+
+    a.emit('data', new Uint8Array([0, 0, 1, 0]))
+    await expectRejection(
+      root,
+      'RangeError: Incoming frame is 256 bytes, but the limit is 100'
+    )
+    log.assert('RangeError: Incoming frame is 256 bytes, but the limit is 100')
+  })
+
+  it('connects over WebSockets', async function () {
+    class ServerApi extends Bridgeable<ServerApi> {
+      echo(x: mixed): mixed {
+        return x
+      }
+    }
+
+    const [a, b] = makeSocketPair()
+    connectWebSocket(a, { root: new ServerApi() })
+    const { root } = connectWebSocket(b)
+    a.open()
+    b.open()
+    const local = await root
+    expect(await local.echo('hello')).equals('hello')
+
+    // Closing the socket closes the bridge:
+    const call = local.echo(1)
+    b.close()
+    await expectRejection(call, 'Error: The WebSocket closed with code 1000')
+  })
+
+  it('detects dead WebSocket peers', async function () {
+    class ServerApi extends Bridgeable<ServerApi> {
+      echo(x: mixed): mixed {
+        return x
+      }
+    }
+
+    const [a, b] = makeSocketPair()
+    a.open()
+    b.open()
+    connectWebSocket(a, { pingMs: 10, root: new ServerApi() })
+    const { root } = connectWebSocket(b, { pingMs: 10, timeoutMs: 50 })
+    const local = await root
+
+    // Pings keep the connection alive:
+    await new Promise(resolve => setTimeout(resolve, 100))
+    expect(await local.echo(1)).equals(1)
+
+    // The other side stops sending anything:
+    a.frozen = true
+    await expectRejection(
+      local.echo(2),
+      'TimeoutError: The WebSocket peer stopped responding'
+    )
+    expect(b.readyState).equals(3)
+    a.close()
+  })
+
+  it('connects windows', async function () {
+    class FrameApi extends Bridgeable<FrameApi> {
+      echo(x: mixed): mixed {
+        return x
+      }
+    }
+
+    const parent = new FakeWindow('https://app.example.com')
+    const frame = new FakeWindow('https://frame.example.com')
+    const evil = new FakeWindow('https://evil.example.com')
+    parent.caller = frame
+    frame.caller = parent
+    connectWindow(parent, {
+      origin: 'https://app.example.com',
+      root: new FrameApi(),
+      window: frame
+    })
+    const { root } = connectWindow(frame, {
+      origin: 'https://frame.example.com',
+      window: parent
+    })
+
+    // Bad handshakes from the wrong window or channel are ignored:
+    const badHello = { hello: { version: 99, features: [] } }
+    evil.post(parent, { yaob: 'yaob', message: badHello })
+    frame.post(parent, { yaob: 'other', message: badHello })
+
+    const local = await root
+    expect(await local.echo('hello')).equals('hello')
+    expect(parent.listenerCount()).equals(1)
+
+    // A bad handshake on the right channel closes the bridge:
+    frame.post(parent, { yaob: 'yaob', message: badHello })
+    await new Promise(resolve => setTimeout(resolve, 10))
+    expect(parent.listenerCount()).equals(0)
+
+    // Wildcard origins and missing windows aren't safe:
+    expect(() => connectWindow(frame, { origin: '*', window: parent })).throws(
+      TypeError,
+      'connectWindow needs a specific origin, not "*"'
+    )
+    const noWindow: any = { origin: 'https://frame.example.com' }
+    expect(() => connectWindow(frame, noWindow)).throws(
+      TypeError,
+      'connectWindow needs a window to listen on'
+    )
+  })
+
+  it('connects from inside WebViews', async function () {
+    const log = makeAssertLog()
+    const page = new FakeWindow('https://page.example.com')
+    page.ReactNativeWebView = {
+      postMessage(text: string) {
+        log(typeof text)
+      }
+    }
+    const document = new FakeWindow('null')
+    global.window = page
+    global.document = document
+
+    try {
+      const { root } = connectWebView()
+      await new Promise(resolve => setTimeout(resolve, 10))
+      log.assert('string')
+
+      // The app uses strings too, and may deliver them to the document:
+      const hello = { hello: { version: 99, features: [] } }
+      document.post(document, 'not json', null)
+      const text = JSON.stringify({ yaob: 'yaob', message: hello })
+      document.post(document, text, null)
+      await expectRejection(
+        root,
+        'IncompatibleError: The other side of the bridge uses protocol version 99, but this side uses version 1'
+      )
+      expect(page.listenerCount()).equals(0)
+      expect(document.listenerCount()).equals(0)
+    } finally {
+      delete global.window
+      delete global.document
+    }
+  })
+
+  it('connects WebViews to their host app', async function () {
+    class AppApi extends Bridgeable<AppApi> {
+      echo(x: mixed): mixed {
+        return x
+      }
+    }
+
+    const page = new FakeWindow('https://page.example.com')
+    const document = new FakeWindow('null')
+    global.window = page
+    global.document = document
+
+    try {
+      // The app runs code inside the page to send messages:
+      const webView = {
+        injectJavaScript(code: string) {
+          // eslint-disable-next-line no-new-func
+          const run: any = new Function('window', 'MessageEvent', code)
+          run(page, FakeMessageEvent)
+        }
+      }
+      const host = connectWebViewHost(webView, { root: new AppApi() })
+      page.ReactNativeWebView = {
+        postMessage(data: string) {
+          setTimeout(() => host.onMessage({ nativeEvent: { data } }), 0)
+        }
+      }
+
+      const local = await connectWebView().root
+      expect(await local.echo('hello')).equals('hello')
+      host.bridge.close(new Error('Done'))
+    } finally {
+      delete global.window
+      delete global.document
+    }
+  })
+
+  it('multiplexes bridges', async function () {
+    class NamedApi extends Bridgeable<NamedApi> {
+      +name: string
+
+      constructor(name: string) {
+        super()
+        this.name = name
+      }
+    }
+
+    const client: BridgeMultiplexer = new BridgeMultiplexer({
+      sendMessage: envelope => setTimeout(() => server.handleMessage(envelope))
+    })
+    const server: BridgeMultiplexer = new BridgeMultiplexer({
+      sendMessage: envelope => setTimeout(() => client.handleMessage(envelope))
+    })
+
+    // The client opens its channels first:
+    const coreBridge = client.open('core')
+    const pluginBridge = client.open('plugins')
+    server.open('core', { root: new NamedApi('core') })
+    const closed = new Promise(resolve =>
+      server.open('plugins', {
+        onClose: resolve,
+        root: new NamedApi('plugins')
+      })
+    )
+    expect(() => server.open('core')).throws(
+      Error,
+      "The 'core' channel is already open"
+    )
+
+    const core = await coreBridge.getRoot()
+    const plugins = await pluginBridge.getRoot()
+    expect(core.name).equals('core')
+    expect(plugins.name).equals('plugins')
+
+    // Closing one channel closes the other side, but leaves the rest:
+    pluginBridge.close(new Error('Done'))
+    expect(String(await closed)).equals(
+      "Error: The other side closed the 'plugins' channel"
+    )
+    expect(Object.keys(server.bridges)).deep.equals(['core'])
+    expect(Object.keys(client.bridges)).deep.equals(['core'])
+  })
+
+  it('limits messages for unopened channels', function () {
+    const mux = new BridgeMultiplexer({
+      maxPendingChannels: 2,
+      maxPendingMessages: 2,
+      sendMessage() {}
+    })
+
+    mux.handleMessage({ channel: 'a', message: {} })
+    mux.handleMessage({ channel: 'a', message: {} })
+    expect(() => mux.handleMessage({ channel: 'a', message: {} })).throws(
+      OverflowError,
+      "More than 2 messages are waiting for the 'a' channel"
+    )
+
+    mux.handleMessage({ channel: 'b', message: {} })
+    expect(() => mux.handleMessage({ channel: 'c', message: {} })).throws(
+      OverflowError,
+      'More than 2 unopened channels have messages waiting'
+    )
+
+    // Opening a channel frees up its space:
+    mux.open('a')
+    mux.handleMessage({ channel: 'c', message: {} })
+  })
+
+  it('exposes named services', async function () {
+    const log = makeAssertLog()
+    class AccountApi extends Bridgeable<AccountApi> {
+      +username: string
+
+      constructor(username: string) {
+        super()
+        this.username = username
+      }
+    }
+
+    const client = new Bridge({
+      sendMessage: message => server.handleMessage(message)
+    })
+    const server = new Bridge({
+      sendMessage: message => client.handleMessage(message)
+    })
+
+    // Lookups can happen before the service exists:
+    const pending = client.get('account')
+    server.expose('account', new AccountApi('alice'))
+    server.expose('settings', { theme: 'dark' })
+    expect((await pending).username).equals('alice')
+    expect(await client.get('settings')).deep.equals({ theme: 'dark' })
+
+    // Services can change at runtime:
+    client.watch('account', account =>
+      log(account != null ? account.username : 'logged out')
+    )
+    server.expose('account', undefined)
+    await new Promise(resolve => setTimeout(resolve, 10))
+    log.assert('logged out')
+    const next = client.get('account')
+    server.expose('account', new AccountApi('bob'))
+    expect((await next).username).equals('bob')
+    log.assert('bob')
+
+    // Closing the bridge rejects lookups:
+    const missing = client.get('missing')
+    client.close(new Error('Done'))
+    await expectRejection(missing, 'Error: Done')
+    await expectRejection(client.get('missing'), 'Error: The bridge is closed')
+  })
+
+  it('splits oversized messages into chunks', async function () {
+    class BlobApi extends Bridgeable<BlobApi> {
+      echo(x: mixed): mixed {
+        return x
+      }
+    }
+    const text = 'Large "quoted" text 🦊\n'.repeat(100)
+    const bytes = new Uint8Array(1000).map((x, i) => i)
+
+    for (const codec of [undefined, binaryCodec]) {
+      let biggest = 0
+      function makeLink(getBridge: () => Bridge) {
+        return (frame: Object) => {
+          const size =
+            frame instanceof Uint8Array
+              ? frame.length
+              : new TextEncoder().encode(JSON.stringify(frame)).length
+          biggest = Math.max(biggest, size)
+          getBridge().handleMessage(frame)
+        }
+      }
+      const client = new Bridge({
+        codec,
+        maxMessageBytes: 200,
+        sendMessage: makeLink(() => server)
+      })
+      const server = new Bridge({
+        codec,
+        maxMessageBytes: 200,
+        sendMessage: makeLink(() => client)
+      })
+
+      server.sendRoot(new BlobApi())
+      const local = await client.getRoot()
+      expect(await local.echo(text)).equals(text)
+      expect(Array.from(await local.echo(bytes))).deep.equals(Array.from(bytes))
+      expect(biggest).within(100, 200)
+    }
+  })
+
+  it('limits chunk reassembly', async function () {
+    // This is under 1000 characters, but over 1000 bytes:
+    class BlobApi extends Bridgeable<BlobApi> {
+      get blob(): string {
+        return 'é'.repeat(450)
+      }
+    }
+
+    const client = new Bridge({
+      maxReassemblyBytes: 1000,
+      sendMessage: message => server.handleMessage(message)
+    })
+    const server = new Bridge({
+      maxMessageBytes: 200,
+      sendMessage: message => client.handleMessage(message)
+    })
+
+    server.sendRoot(new BlobApi())
+    await expectRejection(
+      client.getRoot(),
+      'RangeError: Incoming message is over the 1000-byte reassembly limit'
+    )
+  })
+
+  it('waits for slow transports', async function () {
+    const log = makeAssertLog()
+    class CounterApi extends Bridgeable<{ count: number }> {
+      count: number = 0
+
+      increment(): void {
+        ++this.count
+        update(this)
+      }
+    }
+
+    // The server's transport finishes sending when we say so:
+    let finishSend: Function = () => {}
+    const client = new Bridge({
+      sendMessage: message => server.handleMessage(message)
+    })
+    const server = new Bridge({
+      sendMessage(message) {
+        log('send')
+        client.handleMessage(message)
+        return new Promise(resolve => {
+          finishSend = resolve
+        })
+      }
+    })
+
+    const remote = new CounterApi()
+    server.sendRoot(remote)
+    const local = await client.getRoot()
+    log.assert('send')
+    local.watch('count', count => log('count', count))
+
+    // Changes pile up while the transport is busy:
+    remote.increment()
+    remote.increment()
+    remote.increment()
+    await new Promise(resolve => setTimeout(resolve, 10))
+    log.assert()
+
+    // Then they go out together:
+    finishSend()
+    await new Promise(resolve => setTimeout(resolve, 10))
+    log.assert('send', 'count 3')
+    finishSend()
+  })
+
+  it('waits between chunks on slow transports', async function () {
+    const log = makeAssertLog()
+    class BlobApi extends Bridgeable<BlobApi> {
+      get blob(): string {
+        return 'x'.repeat(1000)
+      }
+    }
+
+    // The server's transport finishes sending when we say so:
+    let finishSend: Function = () => {}
+    const client = new Bridge({
+      sendMessage: message => server.handleMessage(message)
+    })
+    const server = new Bridge({
+      maxMessageBytes: 200,
+      sendMessage(message) {
+        log('send')
+        client.handleMessage(message)
+        return new Promise(resolve => {
+          finishSend = resolve
+        })
+      }
+    })
+    server.sendRoot(new BlobApi())
+
+    // Each chunk waits for the one before:
+    const status = { done: false }
+    const root = client.getRoot().then(() => {
+      status.done = true
+    })
+    let chunks = 0
+    while (!status.done) {
+      await new Promise(resolve => setTimeout(resolve, 10))
+      log.assert('send')
+      ++chunks
+      finishSend()
+    }
+    await root
+    expect(chunks).above(4)
+  })
+
+  it('overflows when too many messages are waiting', async function () {
+    const log = makeAssertLog()
+    class ServerApi extends Bridgeable<ServerApi> {
+      ping(): void {}
+    }
+
+    const client = new Bridge({
+      highWaterMark: 3,
+      sendMessage(message) {
+        server.handleMessage(message)
+
+        // The transport gets stuck after the handshake:
+        if (message.calls != null) return new Promise(resolve => {})
+      }
+    })
+    const server = new Bridge({
+      sendMessage: message => client.handleMessage(message)
+    })
+    client.on('overflow', error => {
+      expect(error).instanceOf(OverflowError)
+      log(String(error))
+    })
+
+    server.sendRoot(new ServerApi())
+    const local = await client.getRoot()
+    local.ping()
+    await new Promise(resolve => setTimeout(resolve, 10))
+
+    // The first call is stuck, and the rest pile up:
+    const calls = [local.ping(), local.ping(), local.ping()]
+    log.assert()
+    const overflow = local.ping()
+    log.assert('OverflowError: More than 3 messages are waiting to be sent')
+    for (const call of [...calls, overflow]) {
+      await expectRejection(
+        call,
+        'OverflowError: More than 3 messages are waiting to be sent'
+      )
+    }
+  })
+
+  it('allows bursts while the transport keeps up', async function () {
+    class ServerApi extends Bridgeable<ServerApi> {
+      ping(): string {
+        return 'pong'
+      }
+    }
+
+    const client = new Bridge({
+      highWaterMark: 3,
+      sendMessage: message => server.handleMessage(message)
+    })
+    const server = new Bridge({
+      sendMessage: message => client.handleMessage(message)
+    })
+    server.sendRoot(new ServerApi())
+    const local = await client.getRoot()
+
+    // Nothing is waiting on the transport, so these all go out together:
+    const calls = []
+    for (let i = 0; i < 10; ++i) calls.push(local.ping())
+    expect(await Promise.all(calls)).deep.equals(Array(10).fill('pong'))
+  })
+
+  it('sends calls without waiting for the throttle', async function () {
+    const log = makeAssertLog()
+    class CounterApi extends Bridgeable<{ count: number }> {
+      count: number = 0
+
+      increment(): number {
+        ++this.count
+        update(this)
+        return this.count
+      }
+    }
+
+    const local = makeLocalBridge(new CounterApi(), { throttleMs: 200 })
+    local.watch('count', count => log('count', count))
+
+    // The first change goes out right away:
+    log(await local.increment())
+    await new Promise(resolve => setTimeout(resolve, 10))
+    log.assert('count 1', '1')
+
+    // The return value doesn't wait for the next change:
+    log(await local.increment())
+    await new Promise(resolve => setTimeout(resolve, 10))
+    log.assert('2')
+    await new Promise(resolve => setTimeout(resolve, 250))
+    log.assert('count 2')
+  })
+
+  it('throttles classes and properties separately', async function () {
+    const log = makeAssertLog()
+    class SlowApi extends Bridgeable<{ fast: number, slow: number }> {
+      fast: number = 0
+      slow: number = 0
+
+      set(n: number): void {
+        this.fast = n
+        this.slow = n
+        update(this)
+      }
+    }
+
+    const remote = new SlowApi()
+    const local = makeLocalBridge(remote, {
+      classThrottleMs: { SlowApi: 200 },
+      propertyThrottleMs: { fast: 0 }
+    })
+    local.watch('fast', fast => log('fast', fast))
+    local.watch('slow', slow => log('slow', slow))
+
+    remote.set(1)
+    await new Promise(resolve => setTimeout(resolve, 10))
+    log.assert('fast 1', 'slow 1')
+
+    // Only the slow property waits:
+    remote.set(2)
+    remote.set(3)
+    await new Promise(resolve => setTimeout(resolve, 10))
+    log.assert('fast 3')
+    await new Promise(resolve => setTimeout(resolve, 250))
+    log.assert('slow 3')
+  })
+
+  it('throttles classes by constructor', async function () {
+    const log = makeAssertLog()
+    class SlowApi extends Bridgeable<{ slow: number }> {
+      slow: number = 0
+
+      set(n: number): void {
+        this.slow = n
+        update(this)
+      }
+    }
+
+    // Minified classes may not have their original names:
+    Object.defineProperty(SlowApi, 'name', { value: 'a' })
+
+    const remote = new SlowApi()
+    const local = makeLocalBridge(remote, {
+      classThrottleMs: new Map([[SlowApi, 200]])
+    })
+    local.watch('slow', slow => log('slow', slow))
+
+    remote.set(1)
+    await new Promise(resolve => setTimeout(resolve, 10))
+    log.assert('slow 1')
+
+    remote.set(2)
+    await new Promise(resolve => setTimeout(resolve, 10))
+    log.assert()
+    await new Promise(resolve => setTimeout(resolve, 250))
+    log.assert('slow 2')
+  })
+
+  it('runs messages through middleware', async function () {
+    const log = makeAssertLog()
+    class ServerApi extends Bridgeable<{ count: number }> {
+      count: number = 0
+
+      ping(): string {
+        ++this.count
+        update(this)
+        return 'pong'
+      }
+    }
+
+    // Hides each message inside a string:
+    const wrapper = {
+      outgoing: message => ({ wrapped: JSON.stringify(message) }),
+      incoming: message => JSON.parse(message.wrapped)
+    }
+
+    // Sees unwrapped messages, and strips property changes:
+    const stripper = {
+      incoming(message) {
+        const { changed, ...rest } = message
+        if (changed != null) log('strip')
+        return rest
+      }
+    }
+
+    const client = new Bridge({
+      middleware: [stripper, wrapper],
+      sendMessage(message) {
+        expect(Object.keys(message)).deep.equals(['wrapped'])
+        server.handleMessage(message)
+      }
+    })
+    const server = new Bridge({
+      middleware: [wrapper],
+      sendMessage(message) {
+        expect(Object.keys(message)).deep.equals(['wrapped'])
+        client.handleMessage(message)
+      }
+    })
+
+    server.sendRoot(new ServerApi())
+    const root = await client.getRoot()
+    expect(await root.ping()).equals('pong')
+    log.assert('strip')
+    expect(root.count).equals(0)
+  })
+
+  it('drops messages in middleware', async function () {
+    const log = makeAssertLog()
+    class ServerApi extends Bridgeable<ServerApi> {
+      ping(): void {
+        log('ping')
+      }
+    }
+
+    let dropping = false
+    const client = new Bridge({
+      middleware: [{ outgoing: message => (dropping ? undefined : message) }],
+      sendMessage: message => server.handleMessage(message)
+    })
+    const server = new Bridge({
+      sendMessage: message => client.handleMessage(message)
+    })
+
+    server.sendRoot(new ServerApi())
+    const root = await client.getRoot()
+    await root.ping()
+    log.assert('ping')
+
+    dropping = true
+    root.ping().catch(() => {})
+    await new Promise(resolve => setTimeout(resolve, 10))
+    log.assert()
+  })
+
+  it('refuses to drop numbered messages in middleware', async function () {
+    const log = makeAssertLog()
+    class ServerApi extends Bridgeable<ServerApi> {
+      ping(): void {}
+    }
+
+    let dropping = false
+    const client = new Bridge({
+      middleware: [{ outgoing: message => (dropping ? undefined : message) }],
+      resumable: true,
+      sendMessage: message => server.handleMessage(message)
+    })
+    const server = new Bridge({
+      resumable: true,
+      sendMessage: message => client.handleMessage(message)
+    })
+    client.on('close', error => log(String(error)))
+
+    server.sendRoot(new ServerApi())
+    const root = await client.getRoot()
+    await root.ping()
+
+    // Later messages would never arrive, so the bridge gives up:
+    dropping = true
+    await expectRejection(
+      root.ping(),
+      'Error: Middleware cannot drop message 3 on a resumable bridge'
+    )
+    log.assert('Error: Middleware cannot drop message 3 on a resumable bridge')
+  })
 })
+
+/**
+ * Makes a pair of fake streams, connected back to back.
+ * Deliveries happen in small, oddly-sized chunks,
+ * so frames get split and combined.
+ */
+function makeStreamPair() {
+  class FakeStream {
+    listeners: { [name: string]: Function[] } = {}
+    peer: FakeStream
+    pending: number[] = []
+
+    on(name: string, f: Function) {
+      this.listeners[name] = [...(this.listeners[name] || []), f]
+    }
+
+    removeListener(name: string, f: Function) {
+      this.listeners[name] = this.listeners[name].filter(g => g !== f)
+    }
+
+    emit(name: string, payload?: mixed) {
+      const listeners = this.listeners[name] || []
+
+      // Like Node.js, throw errors nobody listens for:
+      if (name === 'error' && listeners.length === 0) throw payload
+      for (const f of listeners) f(payload)
+    }
+
+    listenerCount(): number {
+      let out = 0
+      for (const name of Object.keys(this.listeners)) {
+        out += this.listeners[name].length
+      }
+      return out
+    }
+
+    write(chunk: Uint8Array) {
+      const { peer } = this
+      if (peer.pending.length === 0) {
+        setTimeout(() => {
+          const bytes = new Uint8Array(peer.pending)
+          peer.pending = []
+          for (let i = 0; i < bytes.length; i += 7) {
+            peer.emit('data', bytes.subarray(i, i + 7))
+          }
+        }, 0)
+      }
+      peer.pending.push(...Array.from(chunk))
+    }
+  }
+
+  const a = new FakeStream()
+  const b = new FakeStream()
+  a.peer = b
+  b.peer = a
+  return [a, b]
+}
+
+/**
+ * Makes a pair of fake WebSockets, connected back to back.
+ */
+function makeSocketPair() {
+  class FakeSocket {
+    frozen: boolean = false
+    listeners: { [name: string]: Function[] } = {}
+    peer: FakeSocket
+    readyState: number = 0
+
+    addEventListener(name: string, f: Function) {
+      this.listeners[name] = [...(this.listeners[name] || []), f]
+    }
+
+    removeEventListener(name: string, f: Function) {
+      this.listeners[name] = this.listeners[name].filter(g => g !== f)
+    }
+
+    emit(name: string, event: Object) {
+      for (const f of this.listeners[name] || []) f(event)
+    }
+
+    open() {
+      this.readyState = 1
+      this.emit('open', {})
+    }
+
+    close() {
+      for (const socket of [this, this.peer]) {
+        if (socket.readyState > 1) continue
+        socket.readyState = 3
+        socket.emit('close', { code: 1000 })
+      }
+    }
+
+    send(data: mixed) {
+      if (this.readyState !== 1) throw new Error('Not open')
+      if (this.frozen) return
+      const { peer } = this
+      setTimeout(() => {
+        if (peer.readyState === 1) peer.emit('message', { data })
+      }, 0)
+    }
+  }
+
+  const a = new FakeSocket()
+  const b = new FakeSocket()
+  a.peer = b
+  b.peer = a
+  return [a, b]
+}
+
+/**
+ * A fake browser window, which delivers messages to its listeners.
+ */
+class FakeWindow {
+  +origin: string
+  caller: FakeWindow
+  listeners: Function[] = []
+  ReactNativeWebView: Object
+
+  constructor(origin: string) {
+    this.origin = origin
+  }
+
+  addEventListener(name: string, f: Function) {
+    this.listeners = [...this.listeners, f]
+  }
+
+  removeEventListener(name: string, f: Function) {
+    this.listeners = this.listeners.filter(g => g !== f)
+  }
+
+  listenerCount(): number {
+    return this.listeners.length
+  }
+
+  dispatchEvent(event: Object) {
+    for (const f of this.listeners) f(event)
+  }
+
+  // Called from the `caller` window, like a real cross-window call:
+  postMessage(data: mixed, targetOrigin: string) {
+    if (targetOrigin !== '*' && targetOrigin !== this.origin) return
+    this.caller.post(this, structuredClone(data))
+  }
+
+  // Sends a message to another window's listeners, from this window:
+  post(to: FakeWindow, data: mixed, source: FakeWindow | null = this) {
+    setTimeout(() => {
+      const event = { data, origin: this.origin, source }
+      for (const f of to.listeners) f(event)
+    }, 0)
+  }
+}
+
+/**
+ * Like the browser's `MessageEvent`, which has no source window
+ * when a page dispatches it to itself.
+ */
+class FakeMessageEvent {
+  +data: mixed
+  +source: null = null
+
+  constructor(name: string, init: { data: mixed }) {
+    this.data = init.data
+  }
+}
@@ -4,7 +4,7 @@ import { makeAssertLog } from 'assert-log'
 import { expect } from 'chai'
 import { describe, it } from 'mocha'
 
-import { Bridge, Bridgeable, close, shareData } from '../src/index.js'
+import { Bridge, Bridgeable, close, emit, shareData } from '../src/index.js'
 import { expectRejection } from './utils/expect-rejection.js'
 import { makeLoggedBridge } from './utils/logged-bridge.js'
 
@@ -27,10 +27,25 @@ shareData({
 })
 
 class ParentApi extends Bridgeable<ParentApi> {
+  _shared: ChildApi
+
+  constructor() {
+    super()
+    this._shared = new ChildApi()
+  }
+
   async makeChild(): Promise<ChildApi> {
     return new ChildApi()
   }
 
+  async getShared(): Promise<ChildApi> {
+    return this._shared
+  }
+
+  async getAnswer(child: ChildApi): Promise<number> {
+    return child.answer
+  }
+
   async closeChild(child: ChildApi): Promise<void> {
     close(child)
   }
@@ -85,7 +100,7 @@ describe('closing', function () {
       local.closeChild(child),
       'TypeError: Closed bridge object at closeChild.arguments[0]'
     )
-    log.assert('client c1', 'server r1')
+    log.assert('client l1 c1', 'server f1 r1')
   })
 
   it('server closure', async function () {
@@ -118,4 +133,219 @@ describe('closing', function () {
     bridge.sendRoot({ prop: 'prop' })
     await log.waitFor(1).assert()
   })
+
+  it('client-side release', async function () {
+    const log = makeAssertLog()
+    const remote = new ParentApi()
+    remote._shared.on('close', () => log('remote on close'))
+
+    // Send the same child over two bridges:
+    const local1 = await makeLoggedBridge(log, remote)
+    const local2 = await makeLoggedBridge(log, remote)
+    const proxy1 = await local1.getShared()
+    const proxy2 = await local2.getShared()
+    log.assert(
+      'server +1 e1',
+      'server +1 e1',
+      'client c1',
+      'server +1 r1',
+      'client c1',
+      'server +1 r1'
+    )
+
+    // Releasing the proxy on one bridge leaves the other one alone:
+    close(proxy1)
+    await log.waitFor(2).assert('client l1', 'server f1')
+    expect(await proxy2.asyncMethod(1)).equals(3)
+    log.assert('client c1', 'server r1')
+
+    // Sending the object again creates a fresh proxy:
+    const proxy3 = await local1.getShared()
+    log.assert('client c1', 'server +1 r1')
+    expect(proxy3).not.equals(proxy1)
+    expect(await proxy3.asyncMethod(2)).equals(6)
+    log.assert('client c1', 'server r1')
+  })
+
+  it('references in flight', async function () {
+    const log = makeAssertLog()
+    const remote = new ParentApi()
+
+    // Build a bridge where we control message delivery:
+    const toClient = []
+    const toServer = []
+    const client = new Bridge({ sendMessage: m => toServer.push(m) })
+    const server = new Bridge({ sendMessage: m => toClient.push(m) })
+    async function deliver(queue: Object[], bridge: Bridge): Promise<void> {
+      await new Promise(resolve => setTimeout(resolve, 0))
+      for (const m of queue.splice(0)) bridge.handleMessage(m)
+    }
+
+    server.sendRoot(remote)
+    await deliver(toClient, client)
+    const local = await client.getRoot()
+    local.on('shared', proxy => {
+      log('event', proxy.answer)
+      proxy.asyncMethod(2).then(x => log('call', x))
+    })
+
+    // Get the shared object over the bridge:
+    const promise = local.getShared()
+    await deliver(toServer, server)
+    await deliver(toClient, client)
+    const proxy = await promise
+
+    // The server sends the object again, but we don't deliver it yet:
+    emit(remote, 'shared', remote._shared)
+    await new Promise(resolve => setTimeout(resolve, 0))
+
+    // Meanwhile, the client releases the proxy:
+    close(proxy)
+    await new Promise(resolve => setTimeout(resolve, 0))
+    expect(toServer.map(m => m.released.map(r => r.count))).deep.equals([[1]])
+    await deliver(toServer, server)
+
+    // The server keeps the object, since a reference is in flight:
+    expect(toClient).has.length(1)
+    expect(toClient[0].forgotten).equals(undefined)
+    await deliver(toClient, client)
+    log.assert('event 42')
+
+    // The fresh reference gets a working proxy:
+    await deliver(toServer, server)
+    await deliver(toClient, client)
+    log.assert('call 6')
+  })
+
+  it('releases references in undeliverable events', async function () {
+    const remote = new ParentApi()
+    const released = []
+    const forgotten = []
+
+    const client = new Bridge({
+      sendMessage(m) {
+        if (m.released != null) released.push(...m.released)
+        server.handleMessage(m)
+      }
+    })
+    const server = new Bridge({
+      sendMessage(m) {
+        if (m.forgotten != null) forgotten.push(...m.forgotten)
+
+        // Aim the event at an object the client doesn't know about:
+        if (m.events != null) {
+          const events = m.events.map(event =>
+            event.name === 'lost' ? { ...event, localId: 999 } : event
+          )
+          m = { ...m, events }
+        }
+        client.handleMessage(m)
+      }
+    })
+    server.sendRoot(remote)
+    await client.getRoot()
+
+    // The client never sees the payload, but still releases it:
+    emit(remote, 'lost', new ChildApi())
+    await new Promise(resolve => setTimeout(resolve, 10))
+    expect(released.map(r => r.count)).deep.equals([1])
+    expect(forgotten).has.length(1)
+  })
+
+  it('stops iterators when the bridge closes', async function () {
+    const log = makeAssertLog()
+    class HistoryApi extends Bridgeable<> {
+      async *pages(): AsyncGenerator<number, void, void> {
+        try {
+          for (let i = 0; ; ++i) yield i
+        } finally {
+          log('finally')
+        }
+      }
+    }
+
+    const client = new Bridge({ sendMessage: m => server.handleMessage(m) })
+    const server = new Bridge({ sendMessage: m => client.handleMessage(m) })
+    server.sendRoot(new HistoryApi())
+    const local = await client.getRoot()
+
+    const pages = await local.pages()
+    expect(await pages.next()).deep.equals({ done: false, value: 0 })
+    server.close(new Error('Gone'))
+    await new Promise(resolve => setTimeout(resolve, 10))
+    log.assert('finally')
+  })
+
+  it('stops iterators the client releases', async function () {
+    const log = makeAssertLog()
+    class HistoryApi extends Bridgeable<> {
+      async *pages(): AsyncGenerator<number, void, void> {
+        try {
+          for (let i = 0; ; ++i) yield i
+        } finally {
+          log('finally')
+        }
+      }
+    }
+
+    const created = []
+    const client = new Bridge({ sendMessage: m => server.handleMessage(m) })
+    const server = new Bridge({
+      sendMessage(m) {
+        if (m.created != null) created.push(...m.created.map(c => c.localId))
+        client.handleMessage(m)
+      }
+    })
+    server.sendRoot(new HistoryApi())
+    const local = await client.getRoot()
+
+    const pages = await local.pages()
+    expect(await pages.next()).deep.equals({ done: false, value: 0 })
+
+    // Pretend the client garbage-collected the iterator:
+    const localId = created[created.length - 1]
+    server.handleMessage({ released: [{ localId, count: 1 }] })
+    await new Promise(resolve => setTimeout(resolve, 10))
+    log.assert('finally')
+  })
+
+  it('releases references in late returns', async function () {
+    const released = []
+    const forgotten = []
+    let finishCall: Function = () => {}
+    class SlowApi extends Bridgeable<> {
+      makeChild(): Promise<ChildApi> {
+        return new Promise(resolve => {
+          finishCall = () => resolve(new ChildApi())
+        })
+      }
+    }
+
+    const client = new Bridge({
+      callTimeoutMs: 1,
+      sendMessage(m) {
+        if (m.released != null) released.push(...m.released)
+        server.handleMessage(m)
+      }
+    })
+    const server = new Bridge({
+      sendMessage(m) {
+        if (m.forgotten != null) forgotten.push(...m.forgotten)
+        client.handleMessage(m)
+      }
+    })
+    server.sendRoot(new SlowApi())
+    const local = await client.getRoot()
+
+    // The client gives up before the object arrives:
+    await expectRejection(
+      local.makeChild(),
+      "TimeoutError: Call to 'makeChild' timed out after 1ms"
+    )
+    await new Promise(resolve => setTimeout(resolve, 10))
+    finishCall()
+    await new Promise(resolve => setTimeout(resolve, 10))
+    expect(released.map(r => r.count)).deep.equals([1])
+    expect(forgotten).has.length(1)
+  })
 })
@@ -0,0 +1,93 @@
+// @flow
+
+import { expect } from 'chai'
+import { describe, it } from 'mocha'
+
+import { binaryCodec, Bridge, Bridgeable } from '../src/index.js'
+
+describe('binary codec', function () {
+  it('round-trips messages', function () {
+    const message: any = {
+      numbers: [0, 23, 24, 255, 256, 65536, 2 ** 40, -1, -1000, 0.5, -2.25],
+      strings: ['', 'hello', 'café', '€100', '😀'],
+      bytes: new Uint8Array([1, 2, 3, 255]),
+      nested: { flag: true, off: false, nothing: null }
+    }
+    const frame = binaryCodec.encode(message)
+    expect(frame).instanceof(Uint8Array)
+    expect(binaryCodec.decode(frame)).deep.equals(message)
+  })
+
+  it('drops undefined values and keeps NaN', function () {
+    const message: any = { a: undefined, b: [undefined, NaN] }
+    expect(binaryCodec.decode(binaryCodec.encode(message))).deep.equals({
+      b: [null, NaN]
+    })
+  })
+
+  it('treats __proto__ as an ordinary property', function () {
+    const message: any = JSON.parse('{ "__proto__": { "polluted": true } }')
+    const out: any = binaryCodec.decode(binaryCodec.encode(message))
+    expect(Object.getPrototypeOf(out)).equals(Object.prototype)
+    expect(out.polluted).equals(undefined)
+    expect(Object.keys(out)).deep.equals(['__proto__'])
+  })
+
+  it('rejects bad frames', function () {
+    const frame: any = binaryCodec.encode({ calls: [] })
+    expect(() => binaryCodec.decode('{}')).throws(
+      TypeError,
+      'Expecting a binary message frame'
+    )
+    expect(() => binaryCodec.decode(frame.subarray(0, 3))).throws(
+      RangeError,
+      'Unexpected end of message frame'
+    )
+  })
+
+  it('carries bytes natively', async function () {
+    class BlobApi extends Bridgeable<> {
+      reverse(data: Uint8Array): Uint8Array {
+        return data.slice().reverse()
+      }
+
+      toBuffer(data: Uint8Array): ArrayBuffer {
+        return data.buffer
+      }
+    }
+
+    const frames: Uint8Array[] = []
+    const client = new Bridge({
+      codec: binaryCodec,
+      sendMessage(frame) {
+        frames.push(frame)
+        server.handleMessage(frame)
+      }
+    })
+    const server = new Bridge({
+      codec: binaryCodec,
+      sendMessage(frame) {
+        frames.push(frame)
+        client.handleMessage(frame)
+      }
+    })
+    server.sendRoot(new BlobApi())
+    const local = await client.getRoot()
+
+    const data = new Uint8Array(300)
+    for (let i = 0; i < data.length; ++i) data[i] = i & 0xff
+    frames.length = 0
+    const reversed = await local.reverse(data)
+    expect(reversed).deep.equals(data.slice().reverse())
+
+    // The data alone would take 400 bytes as base64:
+    for (const frame of frames) {
+      expect(frame).instanceof(Uint8Array)
+      expect(frame.length).below(400)
+    }
+
+    const buffer = await local.toBuffer(new Uint8Array([1, 2, 3]))
+    expect(buffer).instanceof(ArrayBuffer)
+    expect(Array.from(new Uint8Array(buffer))).deep.equals([1, 2, 3])
+  })
+})
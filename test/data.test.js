@@ -7,9 +7,19 @@ import {
   type ObjectTable,
   type PackedData,
   packData,
+  registerErrors,
+  registerType,
   unpackData
 } from '../src/data.js'
 import { MAGIC_KEY } from '../src/magic.js'
+import { diffValue, packPatch, patchPackedData } from '../src/patches.js'
+
+// Flow doesn't know about these yet:
+declare var AggregateError: any
+declare var global: any
+declare var BigInt: any
+declare var BigInt64Array: any
+declare var BigUint64Array: any
 
 /**
  * An simplified object table for testing.
@@ -41,6 +51,7 @@ const emptyTable = new MockTable()
 // Common test data:
 const u8array = Uint8Array.from([1, 2, 3, 4])
 const arrayBuffer = u8array.buffer
+const f64array = Float64Array.from([0.5])
 const map = new Map([
   [null, 1],
   [2, 2],
@@ -59,10 +70,13 @@ describe('packData', function () {
       [true, { raw: true }],
       [null, { raw: null }],
       [1, { raw: 1 }],
-      [NaN, { raw: NaN }],
+      [NaN, { map: 'n', raw: 'NaN' }],
+      [-Infinity, { map: 'n', raw: '-Infinity' }],
+      [-0, { map: 'n', raw: '-0' }],
       ['blah', { raw: 'blah' }],
       [undefined, { map: 'u', raw: null }],
       [new Date(1500000000000), { map: 'd', raw: '2017-07-14T02:40:00.000Z' }],
+      [new Date(NaN), { map: 'd', raw: null }],
 
       // Arrays:
       [[0, 1], { raw: [0, 1] }],
@@ -70,6 +84,7 @@ describe('packData', function () {
       [sparseArray, { map: ['u', 'u', ''], raw: [null, null, 2] }],
       [arrayBuffer, { map: 'ab', raw: 'AQIDBA==' }],
       [u8array, { map: 'u8', raw: 'AQIDBA==' }],
+      [f64array, { map: 'f64', raw: 'AAAAAAAA4D8=' }],
 
       // Maps & sets:
       [
@@ -95,10 +110,10 @@ describe('packData', function () {
       ],
 
       // Invalid types:
-      [() => {}, { map: '?', raw: 'function' }],
+      [Symbol.iterator, { map: '?', raw: 'symbol' }],
       [
-        { x: 1, y() {} },
-        { map: { y: '?' }, raw: { x: 1, y: 'function' } }
+        { x: 1, y: Symbol.iterator },
+        { map: { y: '?' }, raw: { x: 1, y: 'symbol' } }
       ]
     ]
 
@@ -205,6 +220,7 @@ describe('unpackData', function () {
       [[undefined, 2], { map: ['u', ''], raw: [null, 2] }],
       [arrayBuffer, { map: 'ab', raw: 'AQIDBA==' }],
       [u8array, { map: 'u8', raw: 'AQIDBA==' }],
+      [f64array, { map: 'f64', raw: 'AAAAAAAA4D8=' }],
 
       // Maps & sets:
       [
@@ -235,6 +251,119 @@ describe('unpackData', function () {
     }
   })
 
+  it('handles array buffer views', function () {
+    // Views only send the bytes they cover:
+    const dataView = new DataView(arrayBuffer, 1, 2)
+    expect(packData(emptyTable, dataView)).deep.equals({
+      map: 'dv',
+      raw: 'AgM='
+    })
+    const view = unpackData(emptyTable, packData(emptyTable, dataView), 'path')
+    expect(view).instanceof(DataView)
+    expect(view.byteOffset).equals(0)
+    expect(view.byteLength).equals(2)
+    expect(view.getUint16(0)).equals(0x0203)
+
+    const arrays = [
+      Int8Array.from([-1, 2]),
+      Int16Array.from([-1, 2]),
+      Int32Array.from([-1, 2]),
+      Uint8ClampedArray.from([255, 2]),
+      Uint16Array.from([65535, 2]),
+      Uint32Array.from([1, 2]),
+      Float32Array.from([0.5, 2]),
+      new Uint16Array(arrayBuffer, 2, 1)
+    ]
+    if (typeof BigInt64Array === 'function') {
+      arrays.push(BigInt64Array.from([BigInt(-1)]))
+      arrays.push(BigUint64Array.from([BigInt(1)]))
+    }
+    for (const array of arrays) {
+      const out = unpackData(emptyTable, packData(emptyTable, array), 'path')
+      expect(out.constructor).equals(array.constructor)
+      expect(Array.from(out)).deep.equals(Array.from(array))
+    }
+
+    expect(() =>
+      unpackData(emptyTable, { map: 'u32', raw: 'AQID' }, 'path')
+    ).throws(TypeError, 'Expecting a multiple of 4 bytes at path')
+  })
+
+  it('handles special numbers', function () {
+    const cases: mixed[] = [
+      NaN,
+      Infinity,
+      -Infinity,
+      -0,
+      new Date(NaN),
+      [1, NaN, { x: -0 }],
+      new Map([[Infinity, new Set([NaN, -0])]])
+    ]
+    if (typeof BigInt === 'function') {
+      cases.push(BigInt('123456789012345678901234567890'))
+      cases.push({ amounts: [BigInt(-1), BigInt(0)] })
+      cases.push(new Map([[BigInt(1), new Set([BigInt(2)])]]))
+    }
+
+    for (const data of cases) {
+      const packed = JSON.parse(JSON.stringify(packData(emptyTable, data)))
+      const out = unpackData(emptyTable, packed, 'path')
+      expect(out).deep.equals(data)
+    }
+    expect(
+      Object.is(unpackData(emptyTable, packData(emptyTable, -0), 'path'), -0)
+    ).equals(true)
+  })
+
+  it('handles custom types', function () {
+    class Money {
+      +amount: string
+      +currency: string
+
+      constructor(amount: string, currency: string) {
+        this.amount = amount
+        this.currency = currency
+      }
+    }
+    registerType({
+      name: 'test.Money',
+      test: value => value instanceof Money,
+      pack: (value: Money) => [value.amount, value.currency],
+      unpack: ([amount, currency]) => new Money(amount, currency)
+    })
+    registerType({
+      name: 'test.RegExp',
+      test: value => value instanceof RegExp,
+      pack: (value: RegExp) => ({ source: value.source, flags: value.flags }),
+      unpack: ({ source, flags }) => new RegExp(source, flags)
+    })
+
+    const money = new Money('1.5', 'BTC')
+    expect(packData(emptyTable, money)).deep.equals({
+      map: '#test.Money',
+      raw: { raw: ['1.5', 'BTC'] }
+    })
+
+    const data = {
+      balances: new Map([['main', [money, undefined]]]),
+      pattern: /^bc1/i
+    }
+    const out = unpackData(emptyTable, packData(emptyTable, data), 'path')
+    expect(out).deep.equals(data)
+    const [balance] = out.balances.get('main')
+    expect(balance).instanceof(Money)
+    expect(out.pattern.test('BC1q')).equals(true)
+
+    expect(() =>
+      registerType({
+        name: 'test.Money',
+        test: () => false,
+        pack: x => x,
+        unpack: x => x
+      })
+    ).throws('A custom type named test.Money already exists')
+  })
+
   it('throws for invalid types', function () {
     const cases: Array<[PackedData, string]> = [
       [
@@ -264,6 +393,14 @@ describe('unpackData', function () {
       [
         { map: { bogus: 'o' }, raw: { bogus: NaN } },
         'RangeError: Invalid packedId NaN at path.bogus'
+      ],
+      [
+        { map: ['#test.Missing'], raw: [{ raw: 1 }] },
+        "TypeError: Unknown custom type 'test.Missing' at path[0]"
+      ],
+      [
+        { map: ['&'], raw: [1] },
+        'RangeError: Invalid back-reference 1 at path[0]'
       ]
     ]
 
@@ -316,6 +453,128 @@ describe('unpackData', function () {
     expect(e.name).equals('TypeError')
   })
 
+  it('restores TypeError without AggregateError', function () {
+    const packed = {
+      map: 'e',
+      raw: { base: 'TypeError', map: '', raw: { message: 'map' } }
+    }
+
+    // Older engines don't have this global:
+    const { AggregateError } = global
+    delete global.AggregateError
+    try {
+      const e = unpackData(emptyTable, packed, 'error')
+      expect(e).instanceof(TypeError)
+    } finally {
+      global.AggregateError = AggregateError
+    }
+  })
+
+  it('preserves shared references', function () {
+    const shared = { x: 1 }
+    const loop: Object = { name: 'loop' }
+    loop.self = loop
+    const map = new Map()
+    map.set('map', map)
+    map.set('shared', shared)
+    const error: Object = new Error('e')
+    error.error = error
+
+    const data = {
+      a: shared,
+      b: [shared, shared],
+      loop,
+      map,
+      set: new Set([shared]),
+      error
+    }
+    const packed = JSON.parse(JSON.stringify(packData(emptyTable, data)))
+    const out = unpackData(emptyTable, packed, 'path')
+
+    expect(out.a).deep.equals({ x: 1 })
+    expect(out.b[0]).equals(out.a)
+    expect(out.b[1]).equals(out.a)
+    expect(out.loop.self).equals(out.loop)
+    expect(out.map.get('map')).equals(out.map)
+    expect(out.map.get('shared')).equals(out.a)
+    expect(Array.from(out.set)[0]).equals(out.a)
+    expect(out.error).instanceof(Error)
+    expect(out.error.error).equals(out.error)
+
+    // Values without shared references don't change:
+    expect(packData(emptyTable, [{ x: 1 }, { x: 1 }])).deep.equals({
+      raw: [{ x: 1 }, { x: 1 }]
+    })
+    expect(packData(emptyTable, [shared, shared])).deep.equals({
+      map: ['&', '&'],
+      raw: [{ id: 0, raw: { x: 1 } }, 0]
+    })
+  })
+
+  it('restores custom errors', function () {
+    class InsufficientFundsError extends Error {
+      amount: number
+
+      constructor(amount: number) {
+        super('Insufficient funds')
+        this.name = 'InsufficientFundsError'
+        this.amount = amount
+      }
+    }
+    class UnregisteredError extends InsufficientFundsError {}
+    class NamelessError extends Error {}
+    ;(NamelessError: any).prototype.name = 'NamelessError'
+    registerErrors({ InsufficientFundsError })
+
+    function roundTrip(error: Error): any {
+      const packed = JSON.parse(JSON.stringify(packData(emptyTable, error)))
+      return unpackData(emptyTable, packed, 'error')
+    }
+
+    // Registered types, and their subclasses:
+    const e1 = roundTrip(new InsufficientFundsError(2))
+    expect(e1).instanceof(InsufficientFundsError)
+    expect(e1.amount).equals(2)
+    expect(String(e1)).equals('InsufficientFundsError: Insufficient funds')
+    const e2 = roundTrip(new UnregisteredError(3))
+    expect(e2).instanceof(InsufficientFundsError)
+    expect(e2.amount).equals(3)
+
+    // Unregistered types keep their name:
+    const e3 = roundTrip(new NamelessError('oops'))
+    expect(e3).instanceof(Error)
+    expect(e3.name).equals('NamelessError')
+
+    // Causes:
+    const ErrorWithCause: any = Error
+    const e4 = roundTrip(
+      new ErrorWithCause('outer', {
+        cause: new ErrorWithCause('middle', { cause: new TypeError('inner') })
+      })
+    )
+    expect(e4.message).equals('outer')
+    expect(e4.cause.message).equals('middle')
+    expect(e4.cause.cause).instanceof(TypeError)
+    expect(e4.cause.cause.message).equals('inner')
+
+    if (typeof AggregateError === 'function') {
+      const e5 = roundTrip(
+        new AggregateError(
+          [new RangeError('a'), new InsufficientFundsError(1)],
+          'many'
+        )
+      )
+      expect(e5).instanceof(AggregateError)
+      expect(e5.message).equals('many')
+      expect(e5.errors[0]).instanceof(RangeError)
+      expect(e5.errors[1]).instanceof(InsufficientFundsError)
+    }
+
+    expect(() => registerErrors({ TypeError })).throws(
+      'An error type named TypeError already exists'
+    )
+  })
+
   it('restores proxy types', function () {
     const table = new MockTable()
 
@@ -335,3 +594,53 @@ describe('unpackData', function () {
     }
   })
 })
+
+describe('patches', function () {
+  it('patches packed data', function () {
+    const same = { a: 1, b: 2, c: 3, d: 4 }
+    const prev = {
+      ...same,
+      list: [1, 2, { when: new Date(0) }, 4],
+      unused: true
+    }
+    const next = {
+      ...same,
+      list: [1, 2, { when: new Date(1000) }, 4, undefined, new Date(2000)],
+      extra: { map: new Map([[1, 2]]) }
+    }
+
+    const patch = diffValue(prev, next)
+    if (patch == null) throw new Error('Expected a patch')
+    const packed = patchPackedData(
+      packData(emptyTable, prev),
+      packPatch(emptyTable, patch)
+    )
+    expect(unpackData(emptyTable, packed, 'root')).deep.equals(next)
+  })
+
+  it('replaces mostly-changed values', function () {
+    expect(diffValue([1, 2], [3, 4])).equals(undefined)
+    expect(diffValue([1, 2], [1])).equals(undefined)
+    expect(diffValue({ a: 1 }, [1])).equals(undefined)
+    expect(diffValue([1, 2, 3], [1, 2, 3])).deep.equals([])
+
+    // Shared references need a full update:
+    const shared = { x: 1 }
+    expect(diffValue([shared, 1, 2, 3], [shared, shared, 2, 3])).equals(
+      undefined
+    )
+  })
+
+  it('refuses to patch values with shared references', function () {
+    const shared = { x: 1 }
+    const packed = packData(emptyTable, [shared, shared, 2, 3])
+    const patch = [{ op: 'set', path: [2], value: { raw: 4 } }]
+    expect(() => patchPackedData(packed, patch)).throws(TypeError)
+
+    const anchored = packData(emptyTable, new Map([[shared, shared]]))
+    const patch2 = [{ op: 'set', path: [2], value: anchored }]
+    expect(() =>
+      patchPackedData(packData(emptyTable, [1, 2, 3]), patch2)
+    ).throws(TypeError)
+  })
+})
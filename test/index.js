@@ -3,5 +3,6 @@
 import './data.test.js'
 import './bridge.test.js'
 import './close.test.js'
+import './codec.test.js'
 import './events.test.js'
 import './update.test.js'
@@ -4,7 +4,7 @@ import { makeAssertLog } from 'assert-log'
 import { expect } from 'chai'
 import { describe, it } from 'mocha'
 
-import { Bridgeable, update } from '../src/index.js'
+import { Bridge, Bridgeable, update } from '../src/index.js'
 import { makeLoggedBridge } from './utils/logged-bridge.js'
 
 describe('updating', function () {
@@ -150,4 +150,131 @@ describe('updating', function () {
     expect(local.list).deep.equals([1])
     log.assert('client c1', 'server -1 ~1 r1', 'local 1')
   })
+
+  it('patches large values', async function () {
+    const log = makeAssertLog()
+    type Tx = { id: string, amount: number, meta?: { note: string } }
+    class WalletApi extends Bridgeable<{ transactions: Tx[] }> {
+      transactions: Tx[]
+
+      constructor() {
+        super()
+        this.transactions = []
+        for (let i = 0; i < 10; ++i) {
+          this.transactions.push({ id: String(i), amount: i })
+        }
+      }
+
+      setTransactions(transactions: Tx[]): void {
+        this.transactions = transactions
+        update(this)
+      }
+    }
+
+    const remote = new WalletApi()
+    const local = await makeLoggedBridge(log, remote, { patches: true })
+    log.assert('server +1 e1')
+    local.watch('transactions', txs => log('local', txs.length))
+
+    // Appending keeps the existing entries:
+    const before = local.transactions
+    remote.setTransactions([
+      ...remote.transactions,
+      { id: '10', amount: 10, meta: { note: 'new' } }
+    ])
+    await log.waitFor(2).assert('server ~1', 'local 11')
+    expect(local.transactions).not.equals(before)
+    expect(local.transactions).deep.equals(remote.transactions)
+    expect(local.transactions[0]).equals(before[0])
+
+    // Nested changes only copy the path leading to them:
+    const appended = local.transactions
+    const txs = remote.transactions.slice()
+    txs[10] = { ...txs[10], meta: { note: 'edited' } }
+    txs[3] = { id: '3', amount: 33, meta: undefined }
+    remote.setTransactions(txs)
+    await log.waitFor(2).assert('server ~1', 'local 11')
+    expect(local.transactions).deep.equals(remote.transactions)
+    expect(local.transactions[2]).equals(appended[2])
+    expect(local.transactions[3]).not.equals(appended[3])
+    expect(local.transactions[10]).not.equals(appended[10])
+
+    // Shrinking the array sends it in full:
+    remote.setTransactions(remote.transactions.slice(0, 5))
+    await log.waitFor(2).assert('server ~1', 'local 5')
+    expect(local.transactions).deep.equals(remote.transactions)
+
+    // Unchanged contents don't send anything:
+    remote.setTransactions(remote.transactions.slice())
+    await new Promise(resolve => setTimeout(resolve, 10))
+    log.assert()
+  })
+
+  it('sends new values in full without patches', async function () {
+    const log = makeAssertLog()
+    class NestedApi extends Bridgeable<{ value: Object }> {
+      value: Object = { a: { x: 1 }, b: 2 }
+    }
+
+    const remote = new NestedApi()
+    const local = await makeLoggedBridge(log, remote)
+    log.assert('server +1 e1')
+    local.watch('value', value => log('local', JSON.stringify(value)))
+
+    // Nested values can change in place:
+    remote.value.a.x = 2
+    remote.value = { ...remote.value, b: 3 }
+    update(remote)
+    await log.waitFor(2).assert('server ~1', 'local {"a":{"x":2},"b":3}')
+  })
+
+  it('sends values changed in place', async function () {
+    const log = makeAssertLog()
+    class SettingsApi extends Bridgeable<{
+      settings: { [name: string]: number }
+    }> {
+      settings: { [name: string]: number } = { a: 1 }
+    }
+
+    const remote = new SettingsApi()
+    const local = await makeLoggedBridge(log, remote, { patches: true })
+    log.assert('server +1 e1')
+    local.watch('settings', settings => log('local', JSON.stringify(settings)))
+
+    delete remote.settings.a
+    update(remote, 'settings')
+    await log.waitFor(2).assert('server ~1', 'local {}')
+    expect(local.settings).deep.equals({})
+  })
+
+  it('sends values with shared references in full', async function () {
+    const shared = { x: 1 }
+    class SharedApi extends Bridgeable<{ value: Object }> {
+      value: Object = { a: shared, b: shared, c: 1, d: 2, e: 3 }
+    }
+
+    const changes = []
+    const client = new Bridge({
+      sendMessage: message => server.handleMessage(message)
+    })
+    const server = new Bridge({
+      patches: true,
+      sendMessage(message) {
+        if (message.changed != null) changes.push(...message.changed)
+        client.handleMessage(JSON.parse(JSON.stringify(message)))
+      }
+    })
+    const remote = new SharedApi()
+    server.sendRoot(remote)
+    const local = await client.getRoot()
+
+    // The other side's copy still has the shared reference:
+    remote.value.b = 0
+    remote.value = { ...remote.value, e: 4 }
+    update(remote)
+    await new Promise(resolve => setTimeout(resolve, 10))
+    expect(changes.length).equals(1)
+    expect(changes[0].patches).equals(undefined)
+    expect(local.value).deep.equals({ a: shared, b: 0, c: 1, d: 2, e: 4 })
+  })
 })
@@ -2,35 +2,45 @@
 
 import { AssertLog } from 'assert-log'
 
-import { Bridge } from '../../src/index.js'
+import { type BridgeOptions, Bridge } from '../../src/index.js'
 
 /**
  * Creates a local client / server bridge with logging.
  */
 export function makeLoggedBridge<T: Object>(
   log: AssertLog,
-  root: T
+  root: T,
+  opts: $Shape<BridgeOptions> = {}
 ): Promise<T> {
   function describeMessage(message): string {
     let out = ''
+    if (message.forgotten) out += ' f' + message.forgotten.length
+    if (message.released) out += ' l' + message.released.length
     if (message.closed) out += ' -' + message.closed.length
     if (message.changed) out += ' ~' + message.changed.length
     if (message.created) out += ' +' + message.created.length
 
     if (message.calls) out += ' c' + message.calls.length
+    if (message.cancels) out += ' x' + message.cancels.length
     if (message.events) out += ' e' + message.events.length
     if (message.returns) out += ' r' + message.returns.length
     return out
   }
 
   const client = new Bridge({
+    ...opts,
     sendMessage(message) {
-      log('client' + describeMessage(message))
+      // Skip the initial handshake, since every test has it:
+      const description = describeMessage(message)
+      if (message.hello == null || description !== '') {
+        log('client' + description)
+      }
       // console.log(message)
       server.handleMessage(JSON.parse(JSON.stringify(message)))
     }
   })
   const server = new Bridge({
+    ...opts,
     sendMessage(message) {
       log('server' + describeMessage(message))
       // console.log(message)